@@ -1,119 +1,541 @@
 // background.js - This script runs in the background as a service worker.
 
-// Listen for messages from content scripts (e.g., content.js)
+// Shared settings helpers (getSettings, getApiKey, ...), the LLM provider layer (callProvider, ...),
+// the transformation cache (getCachedTransformation, ...), the structured transformation format,
+// the long-article chunking, the prompt templates and the transformation history (addHistoryEntry, ...)
+importScripts('settings.js', 'providers.js', 'cache.js', 'transformation.js', 'chunking.js', 'prompts.js', 'history.js');
+
+// The files that make up the content script, in load order (must match the manifest's content_scripts)
+const CONTENT_SCRIPT_FILES = ["settings.js", "sites.js", "poster.js", "content.js"];
+
+// Prefix of the ids of the content scripts registered for "always run" sites
+const SITE_SCRIPT_ID_PREFIX = "site:";
+
+// Listen for messages from the extension pages and the content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Check if the message action is "transformArticle"
-    if (request.action === "transformArticle") {
-        console.log("Background script received transform request.");
-        const articleTitle = request.articleTitle;
-        const articleBody = request.articleBody;
-
-        // Call the asynchronous function to handle API calls
-        transformArticleWithGemini(articleTitle, articleBody)
-            .then(response => {
-                // Send the response back to the content script
-                sendResponse(response);
-            })
+    // Check an API key entered on the options page, returning the models it can use
+    if (request.action === "validateApiKey") {
+        validateApiKey(request.provider, request.apiKey, request.apiBaseUrl)
+            .then(sendResponse)
+            .catch(error => {
+                console.error("Error while validating the API key:", error);
+                sendResponse({ success: false, error: error.message || "Could not reach the API." });
+            });
+        return true;
+    }
+
+    // Transform the article in a tab on demand (from the popup), on any site
+    if (request.action === "transformTab") {
+        transformTab(request.tabId, request.regenerate)
+            .then(sendResponse)
+            .catch(error => {
+                console.error("Could not transform the tab:", error);
+                sendResponse({ success: false, error: error.message || "Could not run on this page." });
+            });
+        return true;
+    }
+
+    // Start or stop running on a site outside NEWS_DOMAINS. The popup requests or
+    // removes the host permission itself, since that needs the user's click.
+    if (request.action === "enableSite" || request.action === "disableSite") {
+        const update = request.action === "enableSite" ? enableSite : disableSite;
+        update(request.siteKey)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                console.error(`Could not update site ${request.siteKey}:`, error);
+                sendResponse({ success: false, error: error.message || "Could not update the site." });
+            });
+        return true;
+    }
+
+    // Cache controls in the popup
+    if (request.action === "getCacheStats") {
+        getCacheStats()
+            .then(stats => sendResponse({ success: true, ...stats }))
             .catch(error => {
-                console.error("Error during Gemini API call (catch block):", error);
-                sendResponse({ success: false, error: error.message || "An unexpected error occurred during API call." });
+                console.error("Could not read the cache stats:", error);
+                sendResponse({ success: false, error: error.message || "Could not read the cache." });
             });
+        return true;
+    }
+    if (request.action === "clearCache") {
+        clearCache()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                console.error("Could not clear the cache:", error);
+                sendResponse({ success: false, error: error.message || "Could not clear the cache." });
+            });
+        return true;
+    }
 
-        // Return true to indicate that sendResponse will be called asynchronously
+    // History changes from the library page, made here so they queue behind those of the
+    // transforms (see history.js)
+    if (request.action === "updateHistoryEntry" || request.action === "deleteHistoryEntry") {
+        const change = request.action === "updateHistoryEntry" ?
+            updateHistoryEntry(request.id, request.changes) :
+            deleteHistoryEntry(request.id);
+        change
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                console.error(`Could not change history entry ${request.id}:`, error);
+                sendResponse({ success: false, error: error.message || "Could not change the history." });
+            });
         return true;
     }
+    if (request.action === "importHistory") {
+        importHistoryEntries(request.data)
+            .then(counts => sendResponse({ success: true, ...counts }))
+            .catch(error => {
+                console.error("Could not import the history:", error);
+                sendResponse({ success: false, error: error.message || "Could not import the history." });
+            });
+        return true;
+    }
+
+    // Content scripts can't open the options page themselves
+    if (request.action === "openOptionsPage") {
+        chrome.runtime.openOptionsPage();
+    }
+});
+
+// The content script asks for transformations over a port, which lets us report progress as it's made:
+// the movie title once it's generated, then the song lyrics chunk by chunk as they stream in.
+// The page disconnects the port to cancel the transformation.
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== "transformArticle") {
+        return;
+    }
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    // Posting to a port the page has already disconnected would throw
+    const postUpdate = update => {
+        if (!controller.signal.aborted) {
+            port.postMessage(update);
+        }
+    };
+    port.onMessage.addListener(request => {
+        console.log("Background script received transform request over a port.");
+        transformArticleWithCache(request.articleUrl, request.articleTitle, request.articleBody, request.regenerate, {
+            signal: controller.signal,
+            onUpdate: postUpdate
+        }, { cache: !request.snippet, snippet: request.snippet })
+            .catch(error => {
+                console.error("Error during LLM API call (catch block):", error);
+                return toErrorResponse(error);
+            })
+            .then(response => postUpdate({ type: 'result', response }));
+    });
+});
+
+// Add the context menu entry when the extension is installed or updated
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({
+        id: "transformPage",
+        title: "Bollywoodify this page",
+        contexts: ["page"]
+    });
+    chrome.contextMenus.create({
+        id: "transformSelection",
+        title: "Bollywoodify this selection",
+        contexts: ["selection"]
+    });
+    chrome.contextMenus.create({
+        id: "transformHeadline",
+        title: "Bollywoodify this headline",
+        // Only on links, so it doesn't show on every right-click; the keyboard shortcut covers
+        // headings that aren't links
+        contexts: ["link"]
+    });
+    updateSiteContentScripts().catch(error => console.error("Could not update the content scripts of always-run sites:", error));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === "transformPage") {
+        // Clicking the menu entry grants activeTab, so this works on any site
+        transformTab(tab.id).catch(error => console.error("Could not transform the tab:", error));
+    } else if (info.menuItemId === "transformSelection" || info.menuItemId === "transformHeadline") {
+        transformSnippetInTab(tab.id, {
+            target: info.menuItemId === "transformSelection" ? 'selection' : 'headline',
+            selectionText: info.selectionText,
+            linkUrl: info.linkUrl
+        }).catch(error => console.error("Could not transform the selection:", error));
+    }
+});
+
+// The keyboard shortcuts (see "commands" in manifest.json) grant activeTab too
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === "transformPage") {
+        transformTab(tab.id).catch(error => console.error("Could not transform the tab:", error));
+    } else if (command === "transformSelection") {
+        transformSnippetInTab(tab.id, { target: 'shortcut' })
+            .catch(error => console.error("Could not transform the selection:", error));
+    }
+});
+
+// If the user revokes a site's host permission (e.g. from chrome://extensions), stop running there
+chrome.permissions.onRemoved.addListener(async permissions => {
+    const removedOrigins = permissions.origins || [];
+    const settings = await getSettings();
+    for (const siteKey of settings.customSites) {
+        if (getSiteMatchPatterns(siteKey).some(pattern => removedOrigins.includes(pattern))) {
+            await disableSite(siteKey);
+        }
+    }
 });
 
 /**
- * Calls the Gemini API to generate a Bollywood movie title and song lyrics
- * based on the provided article content.
- * @param {string} articleTitle The title of the news article.
- * @param {string} articleBody The main content of the news article.
- * @returns {Promise<object>} An object containing the generated movie title and song lyrics,
- * or an error message.
+ * Makes sure the content script runs in a tab, injecting it if the page isn't one of the sites
+ * it's declared or registered for. Needs activeTab (from the popup or the context menu) or a host permission.
+ * @param {number} tabId The tab to prepare.
+ * @returns {Promise<void>}
  */
-async function transformArticleWithGemini(articleTitle, articleBody) {
-    // API key for Gemini. Canvas will automatically provide it at runtime if left empty.
-    const apiKey = "";
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
+async function ensureContentScript(tabId) {
     try {
-        // --- Generate Bollywood Movie Title ---
-        const moviePrompt = `Given the following news article title and content, suggest a catchy and dramatic Bollywood movie title (Hindi or English, but Bollywood-themed) that captures its essence. Provide only the title, nothing else.
+        await chrome.tabs.sendMessage(tabId, { action: "getPageStatus" });
+        return;
+    } catch (error) {
+        // "Receiving end does not exist": the content script isn't injected in this tab yet
+    }
+    console.log(`Content script not found in tab ${tabId}, injecting it.`);
+    await chrome.scripting.executeScript({
+        target: { tabId },
+        files: CONTENT_SCRIPT_FILES
+    });
+}
 
-        Article Title: "${articleTitle}"
-        Article Content: "${articleBody.substring(0, Math.min(articleBody.length, 500))}..."`; // Use a truncated body for prompt brevity
+/**
+ * Transforms the article in a tab, injecting the content script first if needed.
+ * @param {number} tabId The tab to transform.
+ * @param {boolean} [regenerate] True to skip the cache and generate a new transformation.
+ * @returns {Promise<object>} The content script's transformArticle() result.
+ */
+async function transformTab(tabId, regenerate = false) {
+    await ensureContentScript(tabId);
+    return chrome.tabs.sendMessage(tabId, { action: "transformPage", regenerate });
+}
 
-        const moviePayload = {
-            contents: [{ role: "user", parts: [{ text: moviePrompt }] }],
-            generationConfig: {
-                temperature: 0.7, // Adjust creativity
-                maxOutputTokens: 50 // Keep output short
-            }
-        };
+/**
+ * Transforms the selected text or a headline in a tab, injecting the content script first if needed.
+ * The page shows the result in a popover next to it.
+ * @param {number} tabId The tab.
+ * @param {object} snippet What to transform: { target, selectionText, linkUrl } (see getSnippet in content.js).
+ * @returns {Promise<object>} The content script's transformSnippet() result.
+ */
+async function transformSnippetInTab(tabId, snippet) {
+    await ensureContentScript(tabId);
+    return chrome.tabs.sendMessage(tabId, { action: "transformSnippet", ...snippet });
+}
 
-        console.log("Calling Gemini API for movie title...");
-        const movieResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(moviePayload)
-        });
-        const movieResult = await movieResponse.json();
+/**
+ * Starts running the content script on a site by itself, by registering a content script for it.
+ * The host permission for the site must already be granted.
+ * @param {string} siteKey The site key, as returned by getSiteKey().
+ * @returns {Promise<void>}
+ */
+async function enableSite(siteKey) {
+    const id = `${SITE_SCRIPT_ID_PREFIX}${siteKey}`;
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+    if (registered.length === 0) {
+        await chrome.scripting.registerContentScripts([{
+            id,
+            matches: getSiteMatchPatterns(siteKey),
+            js: CONTENT_SCRIPT_FILES,
+            persistAcrossSessions: true
+        }]);
+    }
 
-        let generatedMovieTitle = "A Filmy Twist"; // Default title
+    const settings = await getSettings();
+    if (!settings.customSites.includes(siteKey)) {
+        await saveSettings({ customSites: [...settings.customSites, siteKey] });
+    }
+    console.log(`Now always running on ${siteKey}.`);
+}
 
-        // Check for specific error property in the response
-        if (movieResult.error) {
-            console.error("Gemini API Error (Movie Title):", movieResult.error);
+/**
+ * Brings the content scripts registered for "always run" sites up to date with CONTENT_SCRIPT_FILES.
+ * Registrations persist across extension updates with the files they were registered with.
+ * @returns {Promise<void>}
+ */
+async function updateSiteContentScripts() {
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const siteScripts = registered.filter(script => script.id.startsWith(SITE_SCRIPT_ID_PREFIX));
+    if (siteScripts.length > 0) {
+        await chrome.scripting.updateContentScripts(siteScripts.map(script => ({ id: script.id, js: CONTENT_SCRIPT_FILES })));
+    }
+}
+
+/**
+ * Stops running the content script on a site by itself and gives up its host permission.
+ * @param {string} siteKey The site key, as returned by getSiteKey().
+ * @returns {Promise<void>}
+ */
+async function disableSite(siteKey) {
+    const id = `${SITE_SCRIPT_ID_PREFIX}${siteKey}`;
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [id] });
+    }
+
+    const settings = await getSettings();
+    await saveSettings({ customSites: settings.customSites.filter(site => site !== siteKey) });
+    await chrome.permissions.remove({ origins: getSiteMatchPatterns(siteKey) });
+    console.log(`No longer running on ${siteKey}.`);
+}
+
+/**
+ * Checks an API key against a provider's endpoint by listing the models available to it.
+ * @param {string} providerId The provider id, e.g. "gemini" (see LLM_PROVIDERS).
+ * @param {string} apiKey The API key to check.
+ * @param {string} apiBaseUrl The endpoint base URL, e.g. "https://generativelanguage.googleapis.com/v1beta".
+ * @returns {Promise<object>} { success: true, models } with the names of the models that can
+ * generate text, or { success: false, error }.
+ */
+async function validateApiKey(providerId, apiKey, apiBaseUrl) {
+    if (!apiKey && getProvider(providerId).requiresApiKey) {
+        return { success: false, error: "Enter an API key first." };
+    }
+    const settings = await getSettings();
+    const response = await listProviderModels(providerId, apiBaseUrl, apiKey, settings.requestTimeoutSeconds * 1000);
+    if (!response.success) {
+        console.warn("API key validation failed:", response.error);
+    }
+    return response;
+}
+
+/**
+ * Returns the cached transformation of an article if there is one (see cache.js),
+ * otherwise generates it with transformArticleWithGemini(), caches the result and adds it to the history.
+ * @param {string} articleUrl The canonical URL of the article (no caching if empty).
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @param {boolean} regenerate True to skip the cache and generate a new transformation.
+ * @param {object} [progress] Progress reporting and cancellation (see transformArticleWithGemini).
+ * @param {object} [options]
+ * @param {boolean} [options.cache] False to neither read nor write the cache, e.g. for a selection
+ * or a headline, whose transformation shouldn't take the place of its whole article's.
+ * @param {string} [options.snippet] 'selection' when articleBody is text the user selected and
+ * articleTitle the page's title, which the history then records as a selection.
+ * @returns {Promise<object>} The transformation, with cached: true if it came from the cache.
+ */
+async function transformArticleWithCache(articleUrl, articleTitle, articleBody, regenerate, progress = {}, { cache = true, snippet } = {}) {
+    const settings = await getSettings();
+    const promptSignature = getPromptSignature(settings);
+    if (cache && articleUrl && !regenerate) {
+        const cached = await getCachedTransformation(articleUrl, articleBody, promptSignature);
+        if (cached) {
+            console.log("Using cached transformation for", articleUrl);
+            return { success: true, cached: true, ...cached };
         }
+    }
 
-        if (movieResult.candidates && movieResult.candidates.length > 0 &&
-            movieResult.candidates[0].content && movieResult.candidates[0].content.parts &&
-            movieResult.candidates[0].content.parts.length > 0) {
-            generatedMovieTitle = movieResult.candidates[0].content.parts[0].text.trim();
-            console.log("Generated Movie Title:", generatedMovieTitle);
-        } else {
-            console.warn("Could not generate movie title from Gemini. Full response:", movieResult);
+    const response = await transformArticleWithGemini(articleTitle, articleBody, progress);
+    if (response.success && cache && articleUrl) {
+        try {
+            const { success, ...transformation } = response;
+            await cacheTransformation(articleUrl, articleBody, promptSignature, transformation);
+        } catch (error) {
+            // A full storage quota shouldn't cost the user the transformation they just waited for
+            console.warn("Could not cache the transformation:", error);
         }
+    }
+    // Cached transformations were added to the history when they were generated
+    if (response.success) {
+        try {
+            await addHistoryEntry({
+                url: articleUrl,
+                articleTitle,
+                selection: snippet === 'selection' ? articleBody : '',
+                movieTitle: response.movieTitle,
+                tagline: response.tagline,
+                songLyrics: response.songLyrics,
+                style: getStyle(settings).label,
+                language: getLanguage(settings).label
+            });
+        } catch (error) {
+            console.warn("Could not add the transformation to the history:", error);
+        }
+    }
+    return response;
+}
 
-        // --- Generate Bollywood Song Lyrics ---
-        const songPrompt = `Based on the following news article, write a short, fictional Bollywood song (2-3 stanzas with a chorus) that captures its main theme, emotions, or narrative. Use Bollywood song conventions (e.g., mix of Hindi/English, dramatic themes, relatable emotions). Focus on the core message.
+/**
+ * Fits an article body into the context budget (see chunking.js). A long article is split into
+ * chunks within the budget and each chunk is summarised, so the transformation reflects the whole
+ * story rather than its first paragraphs; summaries that are still over the budget are summarised
+ * once more. With summarising turned off the body is left as is, and the prompts cut it to the budget.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key.
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @param {object} [progress] Progress reporting and cancellation (see transformArticleWithGemini).
+ * @returns {Promise<string>} The body, or the summary standing in for it.
+ * @throws {LlmApiError} If a summary request fails.
+ */
+async function condenseArticleBody(settings, apiKey, articleTitle, articleBody, { signal, onUpdate } = {}) {
+    let text = articleBody;
+    for (let round = 0; round < 2 && settings.summarizeLongArticles && estimateTokens(text) > settings.contextBudgetTokens; round++) {
+        const chunks = chunkText(text, settings.contextBudgetTokens);
+        const summaries = [];
+        // One chunk at a time, to stay clear of the rate limits of free API tiers
+        for (const [index, chunk] of chunks.entries()) {
+            if (onUpdate) {
+                onUpdate({ type: 'status', message: `Reading the long article... (part ${index + 1} of ${chunks.length})` });
+            }
+            const prompt = buildSummaryPrompt(articleTitle, chunk, index + 1, chunks.length);
+            summaries.push((await callProvider(settings, apiKey, prompt, settings.generation.summary, signal)).trim());
+        }
+        text = summaries.join('\n\n');
+        console.log(`Summarised ${chunks.length} chunks of the article into about ${estimateTokens(text)} tokens.`);
+    }
+    return text;
+}
 
-        Article Title: "${articleTitle}"
-        Article Content: "${articleBody.substring(0, Math.min(articleBody.length, 1000))}..."`; // Use a truncated body for prompt brevity
+// Failures of the structured request that the separate title and lyrics requests may not hit:
+// a model that didn't stick to the schema, or a server without structured output support, which
+// rejects the request over its schema or JSON response format (an invalid API key is a bad
+// request to Gemini too, and would only fail again)
+const STRUCTURED_FALLBACK_ERROR_CODES = ['emptyResponse', 'invalidResponse'];
+const STRUCTURED_OUTPUT_ERROR_PATTERN = /schema|response_?format|response_?mime_?type|json_object|propertyOrdering/i;
 
-        const songPayload = {
-            contents: [{ role: "user", parts: [{ text: songPrompt }] }],
-            generationConfig: {
-                temperature: 0.9, // Higher temperature for more creative lyrics
-                maxOutputTokens: 500 // Allow more tokens for lyrics
-            }
+/**
+ * Tells whether a failed structured request is worth retrying as separate title and lyrics requests.
+ * @param {Error} error The error the structured request failed with.
+ * @returns {boolean}
+ */
+function canFallBackFromStructured(error) {
+    if (!(error instanceof LlmApiError)) {
+        return true;
+    }
+    return STRUCTURED_FALLBACK_ERROR_CODES.includes(error.code) ||
+        (error.code === 'badRequest' && STRUCTURED_OUTPUT_ERROR_PATTERN.test(error.detail));
+}
+
+/**
+ * Generates the whole transformation (title, tagline, sectioned song, cast) in a single
+ * request with structured JSON output (see transformation.js). Given onUpdate, the response is
+ * streamed, and the movie title and the song lyrics are reported as they're read from the JSON.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key.
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @param {AbortSignal} [signal] Cancels the request.
+ * @param {function(object): void} [onUpdate] Called with { type: 'title', movieTitle } once the
+ * title has arrived and { type: 'lyrics', text } as lines of the song arrive.
+ * @returns {Promise<object>} The transformation, as returned by parseTransformation().
+ * @throws {LlmApiError|SyntaxError|Error} If the request fails or the JSON doesn't validate.
+ */
+async function generateStructuredTransformation(settings, apiKey, articleTitle, articleBody, signal, onUpdate) {
+    const prompt = buildStructuredPrompt(settings, articleTitle, articleBody);
+    const params = { ...settings.generation.structured, responseSchema: TRANSFORMATION_SCHEMA };
+    if (!onUpdate) {
+        return parseTransformation(await callProvider(settings, apiKey, prompt, params, signal));
+    }
+
+    let received = '';
+    let movieTitle = null;
+    let lyrics = '';
+    const text = await streamProvider(settings, apiKey, prompt, params, chunk => {
+        received += chunk;
+        const partial = readPartialTransformation(received);
+        if (partial.movieTitle && !movieTitle) {
+            movieTitle = partial.movieTitle;
+            onUpdate({ type: 'title', movieTitle });
+        }
+        const partialLyrics = partialSongToText(partial.sections);
+        if (partialLyrics.length > lyrics.length && partialLyrics.startsWith(lyrics)) {
+            onUpdate({ type: 'lyrics', text: partialLyrics.slice(lyrics.length) });
+            lyrics = partialLyrics;
+        }
+    }, signal);
+    return parseTransformation(text);
+}
+
+/**
+ * Calls the configured LLM provider (Gemini by default, see providers.js) to generate
+ * a Bollywood movie title and song lyrics based on the provided article content, in the style
+ * and language chosen on the options page (see prompts.js). For styles other than songs,
+ * "songLyrics" holds whatever text the style asks for (a review, a script, ...).
+ * With structured output enabled this is a single request (see generateStructuredTransformation),
+ * falling back to separate movie title and song lyrics requests if that request can't be used.
+ * When the caller wants progress and the provider can stream, the response is streamed, so the
+ * title can be shown right away and the lyrics typed in as they are written.
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @param {object} [progress]
+ * @param {AbortSignal} [progress.signal] Cancels the requests.
+ * @param {function(object): void} [progress.onUpdate] Called with { type: 'status', message } while
+ * a long article is summarised, { type: 'title', movieTitle } once the title is generated and
+ * { type: 'lyrics', text } for each chunk of streamed lyrics.
+ * @returns {Promise<object>} An object containing the generated movie title and song lyrics,
+ * or a structured error (see toErrorResponse) if any request failed.
+ */
+async function transformArticleWithGemini(articleTitle, articleBody, { signal, onUpdate } = {}) {
+    const settings = await getSettings();
+    const apiKey = await getApiKey();
+    const provider = getProvider(settings.provider);
+    if (!apiKey && provider.requiresApiKey) {
+        console.warn(`No ${provider.label} API key configured.`);
+        return {
+            success: false,
+            code: 'missingApiKey',
+            error: `No ${provider.label} API key configured. Open the extension's options page and enter your own key.`
         };
+    }
 
-        console.log("Calling Gemini API for song lyrics...");
-        const songResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(songPayload)
-        });
-        const songResult = await songResponse.json();
+    const streamLyrics = Boolean(onUpdate) && settings.streamLyrics && canStreamProvider(settings);
 
-        let generatedSongLyrics = "A melodious tale awaits..."; // Default lyrics
+    // The article text the prompts are built from: the body itself, or its summary if it's long
+    let articleText;
+    try {
+        articleText = await condenseArticleBody(settings, apiKey, articleTitle, articleBody, { signal, onUpdate });
+    } catch (error) {
+        console.error(`${provider.label} could not summarise the article:`, error);
+        return toErrorResponse(error);
+    }
 
-        // Check for specific error property in the response
-        if (songResult.error) {
-            console.error("Gemini API Error (Song Lyrics):", songResult.error);
+    // Once lyrics have been typed into the page, a fallback doesn't stream its own over them
+    let lyricsStreamed = false;
+    if (settings.structuredOutput && canUseStructuredPrompt(settings)) {
+        try {
+            console.log(`Calling ${provider.label} for a structured transformation${streamLyrics ? ' (streaming)' : ''}...`);
+            const onStructuredUpdate = streamLyrics ? update => {
+                lyricsStreamed = lyricsStreamed || update.type === 'lyrics';
+                onUpdate(update);
+            } : undefined;
+            const transformation = await generateStructuredTransformation(settings, apiKey, articleTitle, articleText, signal, onStructuredUpdate);
+            console.log("Generated structured transformation:", transformation);
+            return { success: true, ...transformation };
+        } catch (error) {
+            if (!canFallBackFromStructured(error)) {
+                console.error(`${provider.label} request failed:`, error);
+                return toErrorResponse(error);
+            }
+            console.warn("Structured transformation failed, falling back to separate requests:", error);
         }
+    }
+
+    try {
+        // --- Generate Bollywood Movie Title ---
+        const moviePrompt = buildMovieTitlePrompt(settings, articleTitle, articleText);
 
-        if (songResult.candidates && songResult.candidates.length > 0 &&
-            songResult.candidates[0].content && songResult.candidates[0].content.parts &&
-            songResult.candidates[0].content.parts.length > 0) {
-            generatedSongLyrics = songResult.candidates[0].content.parts[0].text.trim();
-            console.log("Generated Song Lyrics:", generatedSongLyrics);
-        } else {
-            console.warn("Could not generate song lyrics from Gemini. Full response:", songResult);
+        console.log(`Calling ${provider.label} for movie title...`);
+        const generatedMovieTitle = (await callProvider(settings, apiKey, moviePrompt, settings.generation.movieTitle, signal)).trim();
+        console.log("Generated Movie Title:", generatedMovieTitle);
+        if (onUpdate) {
+            onUpdate({ type: 'title', movieTitle: generatedMovieTitle });
         }
 
+        // --- Generate Bollywood Song Lyrics (or the chosen style's text) ---
+        const songPrompt = buildPiecePrompt(settings, articleTitle, articleText);
+
+        const streamSongLyrics = streamLyrics && !lyricsStreamed;
+        console.log(`Calling ${provider.label} for song lyrics${streamSongLyrics ? ' (streaming)' : ''}...`);
+        const generatedSongLyrics = (streamSongLyrics ?
+            await streamProvider(settings, apiKey, songPrompt, settings.generation.songLyrics, text => onUpdate({ type: 'lyrics', text }), signal) :
+            await callProvider(settings, apiKey, songPrompt, settings.generation.songLyrics, signal)).trim();
+        console.log("Generated Song Lyrics:", generatedSongLyrics);
+
         return {
             success: true,
             movieTitle: generatedMovieTitle,
@@ -121,7 +543,32 @@ async function transformArticleWithGemini(articleTitle, articleBody) {
         };
 
     } catch (error) {
-        console.error("Failed to fetch from Gemini API (network/parsing error):", error);
-        return { success: false, error: error.message || "Network or API response parsing error." };
+        console.error(`${provider.label} request failed:`, error);
+        return toErrorResponse(error);
+    }
+}
+
+/**
+ * Turns an error into the response sent back to the content script, keeping the
+ * LlmApiError classification so the page can offer the right way out (settings, retry).
+ * @param {Error} error The error.
+ * @returns {object} { success: false, code, status, retryable, error }.
+ */
+function toErrorResponse(error) {
+    if (error instanceof LlmApiError) {
+        return {
+            success: false,
+            code: error.code,
+            status: error.status,
+            retryable: error.retryable,
+            error: error.message
+        };
     }
+    return {
+        success: false,
+        code: 'unknown',
+        status: null,
+        retryable: false,
+        error: error.message || "An unexpected error occurred during API call."
+    };
 }
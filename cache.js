@@ -0,0 +1,115 @@
+// cache.js - Caches generated transformations per article, loaded by the background script.
+//
+// Entries live in chrome.storage.local under a single key, keyed by the article's canonical URL.
+// Each entry also records a hash of the extracted article body and the prompt signature (see
+// getPromptSignature in prompts.js), so an article that was updated since it was cached, or that
+// was cached in another style or language, is generated afresh.
+
+const CACHE_STORAGE_KEY = 'transformCache';
+
+// Runs the cache updates one at a time (see createUpdateQueue in settings.js), so two transforms
+// finishing together don't drop each other's entries
+const queueCacheUpdate = createUpdateQueue();
+
+/**
+ * Hashes a text with SHA-256.
+ * @param {string} text The text to hash.
+ * @returns {Promise<string>} The hash, as a hex string.
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads all cache entries.
+ * @returns {Promise<object>} The entries, keyed by canonical URL.
+ */
+async function readCache() {
+    const stored = await chrome.storage.local.get({ [CACHE_STORAGE_KEY]: {} });
+    return stored[CACHE_STORAGE_KEY];
+}
+
+/**
+ * Drops expired entries, then the least recently used ones until the cache fits its size limit.
+ * @param {object} entries The entries, keyed by canonical URL.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {object} The remaining entries.
+ */
+function pruneCache(entries, settings) {
+    const now = Date.now();
+    const ttl = settings.cacheTtlHours * 60 * 60 * 1000;
+    const fresh = Object.entries(entries)
+        .filter(([, entry]) => now - entry.createdAt < ttl)
+        .sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt)
+        .slice(0, settings.cacheMaxEntries);
+    return Object.fromEntries(fresh);
+}
+
+/**
+ * Looks up the cached transformation of an article.
+ * @param {string} url The canonical URL of the article.
+ * @param {string} articleBody The extracted article body, which must match the cached one.
+ * @param {string} promptSignature The signature of the current prompts, which must match the cached one.
+ * @returns {Promise<object|null>} The cached transformation, or null if there is no fresh one.
+ */
+async function getCachedTransformation(url, articleBody, promptSignature) {
+    const settings = await getSettings();
+    if (!settings.cacheEnabled) {
+        return null;
+    }
+    const bodyHash = await hashText(`${promptSignature}\n${articleBody}`);
+    return queueCacheUpdate(async () => {
+        const entries = pruneCache(await readCache(), settings);
+        const entry = entries[url];
+        if (!entry || entry.bodyHash !== bodyHash) {
+            return null;
+        }
+
+        entry.lastUsedAt = Date.now();
+        await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: entries });
+        return entry.transformation;
+    });
+}
+
+/**
+ * Stores the transformation of an article, replacing any previous one.
+ * @param {string} url The canonical URL of the article.
+ * @param {string} articleBody The extracted article body the transformation was generated from.
+ * @param {string} promptSignature The signature of the prompts the transformation was generated with.
+ * @param {object} transformation The fields of the transformation to keep (movieTitle, songLyrics, ...).
+ * @returns {Promise<void>}
+ */
+async function cacheTransformation(url, articleBody, promptSignature, transformation) {
+    const settings = await getSettings();
+    if (!settings.cacheEnabled) {
+        return;
+    }
+    const bodyHash = await hashText(`${promptSignature}\n${articleBody}`);
+    await queueCacheUpdate(async () => {
+        const entries = await readCache();
+        const now = Date.now();
+        entries[url] = { bodyHash, transformation, createdAt: now, lastUsedAt: now };
+        await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: pruneCache(entries, settings) });
+    });
+}
+
+/**
+ * Counts the cached articles and the storage they take, for the popup.
+ * @returns {Promise<object>} { entries, bytes }.
+ */
+async function getCacheStats() {
+    const entries = await readCache();
+    return {
+        entries: Object.keys(entries).length,
+        bytes: await chrome.storage.local.getBytesInUse(CACHE_STORAGE_KEY)
+    };
+}
+
+/**
+ * Empties the cache.
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    return queueCacheUpdate(() => chrome.storage.local.remove(CACHE_STORAGE_KEY));
+}
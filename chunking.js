@@ -0,0 +1,79 @@
+// chunking.js - Fits long article text into the model's context, loaded by the background script.
+//
+// The providers' tokenizers aren't available in the extension, so token counts are estimates that
+// err on the high side. Text is only ever cut between paragraphs, sentences or words, never mid-word.
+
+// Roughly how many characters of Latin-script text make a token
+const CHARACTERS_PER_TOKEN = 4;
+
+// Where text may be split, from the coarsest boundary to the finest, and what joins the pieces back
+const TEXT_BOUNDARIES = [
+    { pattern: /\n\s*\n/, separator: '\n\n' }, // Paragraphs (getArticleBody joins them with blank lines)
+    { pattern: /(?<=[.!?।])\s+/, separator: ' ' }, // Sentences, including the Devanagari full stop
+    { pattern: /\s+/, separator: ' ' } // Words
+];
+
+/**
+ * Estimates how many tokens a text takes.
+ * @param {string} text The text.
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    // Devanagari, Tamil, Bengali and other non-Latin scripts take far more tokens per character
+    const nonLatinCharacters = (text.match(/[^\u0000-\u024F]/g) || []).length;
+    return Math.ceil((text.length - nonLatinCharacters) / CHARACTERS_PER_TOKEN + nonLatinCharacters / 2);
+}
+
+/**
+ * Splits a text at the coarsest boundaries that give pieces within the budget. Only pieces that
+ * are too long are split further, so paragraphs stay whole whenever they fit.
+ * @param {string} text The text to split.
+ * @param {number} maxTokens The budget of each piece.
+ * @param {number} [level] The index in TEXT_BOUNDARIES to split at.
+ * @param {string} [separator] What joins this text to the piece before it.
+ * @returns {Array<object>} The pieces, as { text, separator }. A single word longer than the budget
+ * is kept whole.
+ */
+function splitIntoPieces(text, maxTokens, level = 0, separator = '\n\n') {
+    if (estimateTokens(text) <= maxTokens || level >= TEXT_BOUNDARIES.length) {
+        return [{ text, separator }];
+    }
+    const boundary = TEXT_BOUNDARIES[level];
+    return text.split(boundary.pattern)
+        .filter(piece => piece.trim() !== '')
+        .flatMap((piece, index) => splitIntoPieces(piece, maxTokens, level + 1, index === 0 ? separator : boundary.separator));
+}
+
+/**
+ * Splits a text into consecutive chunks within the budget, each as long as it can be.
+ * @param {string} text The text to split.
+ * @param {number} maxTokens The budget of each chunk.
+ * @returns {Array<string>} The chunks; just the text itself if it fits.
+ */
+function chunkText(text, maxTokens) {
+    const chunks = [];
+    let chunk = '';
+    for (const piece of splitIntoPieces(text.trim(), maxTokens)) {
+        const longerChunk = chunk ? `${chunk}${piece.separator}${piece.text}` : piece.text;
+        if (chunk && estimateTokens(longerChunk) > maxTokens) {
+            chunks.push(chunk);
+            chunk = piece.text;
+        } else {
+            chunk = longerChunk;
+        }
+    }
+    if (chunk) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Shortens a text to the budget, cutting at a paragraph, sentence or word boundary.
+ * @param {string} text The text to shorten.
+ * @param {number} maxTokens The budget.
+ * @returns {string} The text, or its longest beginning that fits.
+ */
+function truncateToTokens(text, maxTokens) {
+    return chunkText(text, maxTokens)[0] || '';
+}
@@ -1,34 +1,179 @@
 // content.js - This script runs directly on the newspaper article pages.
 
-// Flag to ensure the transformation runs only once per page load
-let isTransformed = false;
+// The articles found on the page, in page order. Sites with infinite-scroll feeds append articles
+// as the user scrolls and single-page apps swap them out on navigation, so transformation state is
+// kept per article (see createArticle) rather than per page.
+let articles = [];
+
+// How long the page must go without changes before we look for articles in it, so articles that
+// load late are found once they've settled; and how long constant changes (tickers, ads) may delay that
+const SETTLE_DELAY_MS = 700;
+const MAX_SETTLE_WAIT_MS = 3000;
+
+// The speeds the lyrics can be read aloud at (see addReadAloudControls)
+const READ_ALOUD_RATES = [0.75, 1, 1.25, 1.5];
+
+// The voices to read the lyrics with, by the script they're written in, most preferred first.
+// Latin script is English or Hinglish, which Indian English voices pronounce best.
+const READ_ALOUD_LANGUAGES = [
+    { pattern: /[\u0900-\u097F]/, languages: ['hi-IN'] }, // Devanagari
+    { pattern: /[\u0B80-\u0BFF]/, languages: ['ta-IN'] }, // Tamil
+    { pattern: /[\u0980-\u09FF]/, languages: ['bn-IN'] }, // Bengali
+    { pattern: /[\s\S]/, languages: ['en-IN', 'hi-IN'] }
+];
+
+// The lyrics being read aloud (see startReadingAloud).
+// The page has a single speech queue, so only one lyrics card reads at a time.
+let lyricsReader = null;
+
+// Elements the extension adds to the page, whose changes never call for a new look for articles
+const OWN_ELEMENTS_SELECTOR = '.bollywood-lyrics-container, .bollywood-content-appended, #extensionMessageBox, #bollywoodViewToggle, #bollywoodPosterDialog, .bollywood-snippet-popover';
+
+// The headlines of homepage listings: headings, or the links around them
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+// Longer text under the pointer is more likely a whole teaser than a headline
+const MAX_HEADLINE_LENGTH = 300;
+// The popover a selection's or headline's transformation is shown in, in px
+const SNIPPET_POPOVER_WIDTH = 360;
+const SNIPPET_POPOVER_MARGIN = 8;
+
+// What the user last right-clicked and pointed at, for "Bollywoodify this headline" and its shortcut
+let lastContextMenuTarget = null;
+let lastPointerTarget = null;
 
 /**
- * Attempts to extract the main article title from the current page.
- * It tries a few common selectors used on news websites.
- * @returns {string|null} The extracted article title, or null if not found.
+ * Tells whether an element comes before another one in the page, or sits inside it.
+ * @param {Node} element The element to place.
+ * @param {Node} reference The element to compare with.
+ * @returns {boolean}
  */
-function getArticleTitle() {
-    const titleSelectors = [
-        'h1.artTitle', // Common for Times of India articles
-        'h1[itemprop="headline"]',
-        'h1.story-title',
-        'h1.headline',
-        'h1', // Generic h1, less specific but sometimes necessary
-        'meta[property="og:title"]', // Open Graph title from meta tags
-        'title' // Fallback to page title
-    ];
-
-    for (const selector of titleSelectors) {
+function isBeforeOrInside(element, reference) {
+    const position = reference.compareDocumentPosition(element);
+    return Boolean(position & Node.DOCUMENT_POSITION_PRECEDING || position & Node.DOCUMENT_POSITION_CONTAINED_BY);
+}
+
+/**
+ * Finds the headline element of an article, trying the site's own selectors (see sites.js)
+ * before the generic ones. This is both the title we extract and the one we visually replace.
+ * In a feed of articles, each one's headline is the nearest one before (or inside) its body that
+ * comes after the previous article's body.
+ * @param {HTMLElement} bodyElement The article body container.
+ * @param {HTMLElement|null} previousBodyElement The body container of the article before it, if any.
+ * @returns {HTMLElement|null} The title element, or null if none was found.
+ */
+function findTitleElement(bodyElement, previousBodyElement) {
+    const adapter = getSiteAdapter(location.hostname);
+    const selectors = [...adapter.titleSelectors, ...GENERIC_SITE_ADAPTER.titleSelectors];
+    for (const selector of selectors) {
+        const candidates = Array.from(document.querySelectorAll(selector)).filter(element =>
+            element.textContent.trim() &&
+            isBeforeOrInside(element, bodyElement) &&
+            (!previousBodyElement || !isBeforeOrInside(element, previousBodyElement))
+        );
+        if (candidates.length > 0) {
+            console.log(`Found title element using selector "${selector}".`);
+            return candidates[candidates.length - 1];
+        }
+    }
+    if (previousBodyElement) {
+        return null;
+    }
+    // The first article may have its headline anywhere on the page
+    for (const selector of selectors) {
         const element = document.querySelector(selector);
-        if (element && element.textContent) {
-            // Prioritize specific h1 classes, then general h1, then meta/title
-            if (selector.startsWith('h1')) {
-                console.log(`Found title for extraction using selector "${selector}".`);
-                return element.textContent.trim();
+        if (element && element.textContent.trim()) {
+            console.log(`Found title element using selector "${selector}".`);
+            return element;
+        }
+    }
+    return null;
+}
+
+/**
+ * Tells whether an element is rendered, so hidden duplicates (e.g. a collapsed mobile copy
+ * of the story) are skipped. Elements are assumed visible where checkVisibility() isn't available.
+ * @param {Element} element The element to check.
+ * @returns {boolean}
+ */
+function isVisibleElement(element) {
+    return typeof element.checkVisibility === 'function' ? element.checkVisibility() : true;
+}
+
+/**
+ * Heuristic: a container holds the article if it contains paragraphs, or if the element itself
+ * has significant text content (more than 200 characters), as on pages that write the story as bare text.
+ * @param {Element} element The candidate container.
+ * @param {object} adapter The site adapter.
+ * @returns {boolean}
+ */
+function hasArticleContent(element, adapter) {
+    return element.querySelector(adapter.paragraphSelector) !== null || element.textContent.trim().length > 200;
+}
+
+/**
+ * Finds the container holding the article body. The text is extracted from it, and it is the
+ * element whose content gets replaced with the lyrics. Tries the site's own selectors first,
+ * then the generic ones, then a readability-style scan of the page's paragraphs.
+ * @returns {HTMLElement|null} The main article content container, or null if none looks suitable.
+ */
+function findArticleBodyContainer() {
+    const adapter = getSiteAdapter(location.hostname);
+    const selectors = adapter === GENERIC_SITE_ADAPTER ?
+        adapter.bodySelectors :
+        [...adapter.bodySelectors, ...GENERIC_SITE_ADAPTER.bodySelectors];
+
+    for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+            // Check if element is visible, isn't an ad or related-stories box, and contains content
+            if (isVisibleElement(element) && !isExcludedElement(element, adapter, document.body) && hasArticleContent(element, adapter)) {
+                console.log(`Found main article container for ${adapter.name} using selector: ${selector}`);
+                return element; // Found the best match, stop searching
             }
         }
     }
+
+    const element = findContainerByTextDensity(adapter);
+    if (element) {
+        console.log(`Found main article container by text density: ${element.tagName}.${element.className || ''}`);
+    }
+    return element;
+}
+
+/**
+ * Finds the body containers of every article on the page. A site's own selectors reliably pick out
+ * its stories, so they find each article of an infinite-scroll feed; the generic selectors and the
+ * text-density scan also match teasers and comment threads, so they only find the main article.
+ * @returns {Array<HTMLElement>} The containers, in page order.
+ */
+function findArticleBodyContainers() {
+    const adapter = getSiteAdapter(location.hostname);
+    if (adapter !== GENERIC_SITE_ADAPTER) {
+        for (const selector of adapter.bodySelectors) {
+            const elements = Array.from(document.querySelectorAll(selector)).filter(element =>
+                isVisibleElement(element) && !isExcludedElement(element, adapter, document.body) && hasArticleContent(element, adapter)
+            );
+            // A story matched at two levels counts once, as its outermost container
+            const outermost = elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+            if (outermost.length > 0) {
+                return outermost;
+            }
+        }
+    }
+    const element = findArticleBodyContainer();
+    return element ? [element] : [];
+}
+
+/**
+ * Attempts to extract the title of an article.
+ * It uses the article's headline element (see findTitleElement),
+ * then falls back to the Open Graph title and the document title.
+ * @param {object} article The article (see createArticle).
+ * @returns {string|null} The extracted article title, or null if not found.
+ */
+function getArticleTitle(article) {
+    if (article.titleElement) {
+        return article.titleElement.textContent.trim();
+    }
     // Fallback to meta/document title for extraction if no H1 was suitable
     const ogTitleMeta = document.querySelector('meta[property="og:title"]');
     if (ogTitleMeta && ogTitleMeta.content) {
@@ -45,78 +190,37 @@ function getArticleTitle() {
 }
 
 /**
- * Attempts to extract the main article body content from the current page.
- * It tries to find a main article container and then collects all paragraph texts within it.
+ * Attempts to extract the body content of an article.
+ * It collects the text of the paragraphs within the article's container, skipping the ads,
+ * captions and "read more" blocks the site's adapter excludes.
+ * @param {object} article The article (see createArticle).
  * @returns {string|null} The extracted article body as a single string, or null if not found.
  */
-function getArticleBody() {
-    // Broader set of selectors for the main article content container
-    const articleBodySelectors = [
-        'div._3g2R-', // Very common wrapper on ToI article pages
-        'div[itemprop="articleBody"]', // Standard semantic HTML for article content
-        'article', // Semantic HTML5 tag for main content
-        'div.story-content', // Generic container
-        'div.article-body', // Generic container
-        'div.section-article-text', // Generic container
-        'div.content-wrapper', // Generic container
-        'div.article-detail', // Generic container
-        'div.entry-content', // Common in WordPress themes
-        'div.td-post-content', // Specific to certain themes
-        'div.primary-content', // More generic
-        'div.fl-post-content', // Common for some page builders
-        'div.inner-content', // Another generic container
-        'div.story-element-text', // Seen on some news sites
-        'div.detail-content', // Generic for news details
-        'div._3MkB4', // Another common ToI-specific container
-        'div[data-story-id]', // Data attribute based selector
-        'div.article-content', // Generic content class
-        'div.full_story', // Legacy news site class
-        'div#content-area', // Common ID for main content area
-        'div.story_content', // Generic story content class
-        'div.Normal' // Sometimes individual paragraphs are targeted if no main wrapper
-    ];
-
-    let articleText = [];
-    let mainArticleElement = null;
-
-    // Try to find the most specific article container first
-    for (const selector of articleBodySelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            mainArticleElement = element;
-            console.log(`Found main article container for extraction using selector: ${selector}`);
-            break; // Found a container, proceed to extract paragraphs
-        }
-    }
-
-    if (!mainArticleElement) {
-        console.warn("Could not find a specific article body container for extraction. Falling back to all paragraphs on page.");
-        // If no specific container is found, try to get all paragraphs that look like main content
-        const paragraphs = document.querySelectorAll('p, div.Normal'); // Also consider div.Normal for individual paragraphs
-        paragraphs.forEach(p => {
-            const text = p.textContent.trim();
-            // Basic filtering to avoid empty, very short, or non-main-content paragraphs (e.g., captions, ads)
-            // Heuristic: paragraph should contain a reasonable amount of words and not be purely numerical or too short.
-            if (text.length > 100 && text.split(' ').length > 10) {
-                articleText.push(text);
-            }
-        });
-    } else {
-        // If a main article container is found, get paragraphs only within it
-        const paragraphs = mainArticleElement.querySelectorAll('p, div.Normal'); // Also consider div.Normal for individual paragraphs
-        if (paragraphs.length > 0) {
-            paragraphs.forEach(p => {
+function getArticleBody(article) {
+    const adapter = getSiteAdapter(location.hostname);
+    const mainArticleElement = article.bodyElement;
+
+    const articleText = [];
+    const paragraphs = Array.from(mainArticleElement.querySelectorAll(adapter.paragraphSelector))
+        .filter(p => !isExcludedElement(p, adapter, mainArticleElement));
+
+    if (paragraphs.length > 0) {
+        paragraphs
+            // Skip paragraphs nested in another matched one (e.g. a <p> inside a div.Normal), so no text is counted twice
+            .filter(p => !paragraphs.some(other => other !== p && other.contains(p)))
+            .forEach(p => {
                 const text = p.textContent.trim();
                 if (text.length > 50) { // Ensure paragraph is not empty or too short
                     articleText.push(text);
                 }
             });
-        } else {
-            // If no explicit p or div.Normal, use the direct text content of the main element
-            const directText = mainArticleElement.textContent.trim();
-            if (directText.length > 100) {
-                articleText.push(directText);
-            }
+    } else {
+        // If there are no paragraphs, use the text of the container itself, minus the excluded blocks
+        const containerCopy = mainArticleElement.cloneNode(true);
+        containerCopy.querySelectorAll(getExcludeSelector(adapter)).forEach(element => element.remove());
+        const directText = containerCopy.textContent.trim();
+        if (directText.length > 100) {
+            articleText.push(directText);
         }
     }
 
@@ -130,232 +234,1756 @@ function getArticleBody() {
     return null;
 }
 
+// The styles of everything the extension adds to the page. The newspapers don't load any CSS
+// framework we could rely on, and their own CSS would leak into our UI, so each piece of UI lives in
+// a shadow root (see createShadowUi) with these styles bundled in. Sizes are in px rather than rem,
+// since every site sets its own root font size.
+const UI_STYLES = `
+:host {
+    all: initial;
+    display: block;
+}
+.message-box {
+    position: fixed;
+    bottom: 16px;
+    right: 16px;
+    z-index: 2147483647;
+    display: flex;
+    align-items: center;
+    gap: 16px;
+    max-width: 420px;
+    padding: 16px;
+    border-radius: 8px;
+    box-shadow: 0 10px 15px rgba(0, 0, 0, 0.1), 0 4px 6px rgba(0, 0, 0, 0.1);
+    color: #ffffff;
+    font: 15px/1.4 sans-serif;
+    transition: opacity 0.5s;
+}
+.message-box.success {
+    background-color: #22c55e;
+}
+.message-box.error {
+    background-color: #ef4444;
+}
+.message-box button {
+    padding: 0;
+    border: none;
+    background: none;
+    color: inherit;
+    font: inherit;
+    font-weight: bold;
+    cursor: pointer;
+}
+.message-box .action {
+    text-decoration: underline;
+    white-space: nowrap;
+}
+.message-box .close {
+    font-size: 20px;
+    line-height: 1;
+}
+.message-box .close:hover {
+    opacity: 0.8;
+}
+.card {
+    box-sizing: border-box;
+    width: 100%;
+    max-width: 672px;
+    margin: 32px auto;
+    padding: 32px 16px;
+    border-radius: 8px;
+    box-shadow: 0 10px 15px rgba(0, 0, 0, 0.1), 0 4px 6px rgba(0, 0, 0, 0.1);
+    text-align: center;
+}
+.lyrics {
+    background: linear-gradient(to right, #f3e8ff, #fce7f3);
+    color: #4a0033;
+    font: 700 19px/1.8 'Dancing Script', cursive;
+}
+.lyrics p {
+    margin: 8px 0;
+}
+.lyrics .tagline {
+    font-size: 22px;
+    font-style: italic;
+}
+.lyrics h3 {
+    margin: 16px 0 8px;
+    font-size: 26px;
+    font-weight: bold;
+}
+.lyrics .section {
+    margin: 16px 0;
+}
+.lyrics .section-label {
+    font-family: sans-serif;
+    font-size: 13px;
+    letter-spacing: 0.1em;
+    opacity: 0.7;
+}
+.lyrics .chorus .line {
+    font-style: italic;
+}
+.lyrics .line {
+    border-radius: 4px;
+    transition: background-color 0.2s, color 0.2s;
+}
+.lyrics .line.speaking {
+    background-color: rgba(139, 0, 0, 0.12);
+    color: #8b0000;
+}
+.read-aloud {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 16px;
+    font: 14px sans-serif;
+}
+.read-aloud button, .poster-action button, .poster-panel button {
+    padding: 6px 14px;
+    border: none;
+    border-radius: 9999px;
+    background-color: #8b0000;
+    color: #ffffff;
+    font: bold 14px sans-serif;
+    cursor: pointer;
+}
+.read-aloud button[hidden] {
+    display: none;
+}
+.read-aloud select, .poster-panel select {
+    padding: 4px;
+    border: 1px solid #c4b5fd;
+    border-radius: 4px;
+    background-color: #ffffff;
+    color: #4a0033;
+    font: 14px sans-serif;
+}
+.lyrics .starring {
+    margin-top: 24px;
+    font-family: sans-serif;
+    font-size: 14px;
+}
+.signature {
+    margin-top: 24px;
+    color: #4b5563;
+    font-family: sans-serif;
+    font-size: 14px;
+    font-style: italic;
+}
+.appended {
+    background: linear-gradient(to right, #dbeafe, #e0e7ff);
+    color: #1f2937;
+    font: 18px/1.6 sans-serif;
+}
+.appended h2 {
+    margin: 0 0 16px;
+    color: #7e22ce;
+    font-size: 24px;
+    font-weight: bold;
+}
+.appended .lyrics-text {
+    white-space: pre-wrap;
+}
+.poster-action {
+    margin-top: 24px;
+}
+.poster-overlay {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 16px;
+    background-color: rgba(0, 0, 0, 0.7);
+}
+.poster-panel {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 12px;
+    max-height: 100%;
+    overflow-y: auto;
+    padding: 20px;
+    border-radius: 12px;
+    background-color: #ffffff;
+    color: #2d3748;
+    font: 14px sans-serif;
+}
+.poster-panel h2 {
+    margin: 0;
+    font-size: 18px;
+}
+.poster-panel canvas {
+    width: min(360px, 70vw);
+    height: auto;
+    border-radius: 4px;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.2);
+}
+.poster-panel .row {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    align-items: center;
+    gap: 8px;
+}
+.poster-panel .close {
+    background-color: #718096;
+}
+.poster-panel .status {
+    min-height: 1.2em;
+    margin: 0;
+}
+.poster-panel .status.error {
+    color: #c53030;
+}
+.snippet-popover {
+    box-sizing: border-box;
+    width: 360px;
+    max-width: calc(100vw - 16px);
+    max-height: 420px;
+    overflow-y: auto;
+    padding: 16px;
+    border-radius: 8px;
+    box-shadow: 0 10px 15px rgba(0, 0, 0, 0.1), 0 4px 6px rgba(0, 0, 0, 0.1);
+    text-align: center;
+}
+.snippet-popover .snippet-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    gap: 8px;
+}
+.snippet-popover h2 {
+    margin: 0;
+    color: #8b0000;
+    font: bold 20px/1.3 sans-serif;
+    text-align: left;
+}
+.snippet-popover .close {
+    padding: 0;
+    border: none;
+    background: none;
+    color: inherit;
+    font: bold 20px/1 sans-serif;
+    cursor: pointer;
+}
+.snippet-popover .status {
+    font: 14px sans-serif;
+}
+.snippet-popover .status.error {
+    color: #c53030;
+}
+.snippet-popover .status button {
+    margin-left: 8px;
+    padding: 0;
+    border: none;
+    background: none;
+    color: inherit;
+    font: inherit;
+    font-weight: bold;
+    text-decoration: underline;
+    cursor: pointer;
+}
+.snippet-popover .lyrics-text {
+    white-space: pre-wrap;
+}
+.snippet-popover .poster-action {
+    margin-top: 16px;
+}
+.view-toggle {
+    position: fixed;
+    bottom: 16px;
+    left: 16px;
+    z-index: 2147483647;
+    padding: 10px 16px;
+    border: none;
+    border-radius: 9999px;
+    background-color: #8b0000;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.2);
+    color: #ffffff;
+    font: bold 14px sans-serif;
+    cursor: pointer;
+}
+`;
+
+/**
+ * Creates an element to hold a piece of the extension's UI, with a shadow root that keeps the
+ * page's CSS out and bundles UI_STYLES in. Content goes into the shadow root as DOM nodes with
+ * text set through textContent, never as markup, since much of it comes from the model.
+ * @param {string} className The class of the host element, which the page sees.
+ * @returns {object} { host, root }: the host element to put on the page, and its shadow root.
+ */
+function createShadowUi(className) {
+    const host = document.createElement('div');
+    host.className = className;
+    const root = host.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = UI_STYLES;
+    root.appendChild(style);
+    return { host, root };
+}
+
 /**
  * Creates a modal or message box to display messages to the user,
  * avoiding the use of alert().
- * @param {string} message The message to display.
+ * @param {string} message The message to display. Shown as plain text, so API error text can't inject markup.
  * @param {string} type 'success' or 'error' for styling.
+ * @param {object} [action] Optional button to show next to the message, as { label, onClick }.
  */
-function showMessageBox(message, type) {
+function showMessageBox(message, type, action) {
     const existingBox = document.getElementById('extensionMessageBox');
     if (existingBox) {
         existingBox.remove();
     }
 
+    const { host, root } = createShadowUi('bollywood-message-box');
+    host.id = 'extensionMessageBox';
     const messageBox = document.createElement('div');
-    messageBox.id = 'extensionMessageBox';
-    messageBox.className = `fixed bottom-4 right-4 p-4 rounded-lg shadow-lg text-white z-[9999] transition-opacity duration-500`;
-
-    if (type === 'success') {
-        messageBox.classList.add('bg-green-500');
-    } else {
-        messageBox.classList.add('bg-red-500');
-    }
+    messageBox.className = `message-box ${type === 'success' ? 'success' : 'error'}`;
+    messageBox.setAttribute('role', type === 'success' ? 'status' : 'alert');
 
-    messageBox.innerHTML = `
-        <div class="flex items-center justify-between">
-            <span>${message}</span>
-            <button id="closeMessageBox" class="ml-4 text-white hover:text-gray-200 font-bold text-xl leading-none">&times;</button>
-        </div>
-    `;
+    const text = document.createElement('span');
+    text.textContent = message;
+    messageBox.appendChild(text);
 
-    document.body.appendChild(messageBox);
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', action.onClick);
+        messageBox.appendChild(actionButton);
+    }
 
-    document.getElementById('closeMessageBox').addEventListener('click', () => {
-        messageBox.remove();
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'close';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.addEventListener('click', () => {
+        host.remove();
     });
+    messageBox.appendChild(closeButton);
+
+    root.appendChild(messageBox);
+    document.body.appendChild(host);
 
-    // Automatically remove after 5 seconds
+    // Automatically remove after 5 seconds, unless it offers an action the user may still want to take
+    if (action) {
+        return;
+    }
     setTimeout(() => {
         messageBox.style.opacity = '0';
-        setTimeout(() => messageBox.remove(), 500);
+        setTimeout(() => host.remove(), 500);
     }, 5000);
 }
 
+/**
+ * Creates the state of an article found on the page.
+ * @param {HTMLElement} bodyElement The article body container.
+ * @param {HTMLElement|null} titleElement The article's headline element.
+ * @returns {object}
+ */
+function createArticle(bodyElement, titleElement) {
+    return {
+        bodyElement,
+        titleElement,
+        url: null, // Set by discoverArticles() (see getArticleUrl)
+        isTransformed: false,
+        isTransforming: false,
+        // Snapshot of the original and transformed views, so the user can switch between them.
+        // Populated by snapshotOriginalArticle() right before the article is transformed.
+        views: null,
+        // The transformation in flight, as { port, finish }, so the page overlay can cancel it
+        transformation: null,
+        // The song lyrics being typed into the page while they stream in (see startLyricsTyping)
+        lyricsTyper: null
+    };
+}
+
+/**
+ * Tells whether an article is still on the page. Single-page apps may drop an article's elements,
+ * or reuse them for the next article and only swap their content.
+ * @param {object} article The article.
+ * @returns {boolean}
+ */
+function isArticleOnPage(article) {
+    if (!article.bodyElement.isConnected) {
+        return false;
+    }
+    // While the lyrics are coming in, the body shows whatever we last put in it
+    if (article.isTransforming) {
+        return true;
+    }
+    const body = article.views && article.views.body;
+    const shownNodes = body ? (body.element.firstChild === body.originalNodes[0] ? body.originalNodes : body.transformedNodes) : null;
+    return !shownNodes || shownNodes.every(node => node.parentNode === article.bodyElement);
+}
+
+/**
+ * Returns the URL the background script caches an article's transformation under: the page's
+ * canonical URL, or for the further articles of an infinite-scroll feed, the link in their headline.
+ * @param {object} article The article.
+ * @param {string} title The article title.
+ * @param {Array<object>} otherArticles The other articles on the page.
+ * @returns {string}
+ */
+function getArticleUrl(article, title, otherArticles) {
+    const canonicalUrl = getCanonicalUrl();
+    if (!otherArticles.some(other => other.url === canonicalUrl)) {
+        return canonicalUrl;
+    }
+    const link = article.titleElement && (article.titleElement.closest('a[href]') || article.titleElement.querySelector('a[href]'));
+    return link ? link.href : `${canonicalUrl}#${encodeURIComponent(title)}`;
+}
+
+/**
+ * Looks for articles on the page: drops the ones that are gone (cancelling their transformations)
+ * and adds the new ones, such as those an infinite-scroll feed just loaded.
+ * @returns {Array<object>} The articles found for the first time, in page order.
+ */
+function discoverArticles() {
+    articles.filter(article => !isArticleOnPage(article)).forEach(article => {
+        console.log("An article left the page. Forgetting it.");
+        cancelTransformation(article);
+        stopReadingAloud(article);
+    });
+    articles = articles.filter(isArticleOnPage);
+
+    // The generic selectors only find the main article, so look no further once it's known
+    if (articles.length > 0 && getSiteAdapter(location.hostname) === GENERIC_SITE_ADAPTER) {
+        return [];
+    }
+
+    const newArticles = [];
+    for (const bodyElement of findArticleBodyContainers()) {
+        const isKnown = articles.some(article => article.bodyElement.contains(bodyElement) || bodyElement.contains(article.bodyElement));
+        if (isKnown) {
+            continue;
+        }
+        const previousBodyElement = [...articles.map(article => article.bodyElement), ...newArticles.map(article => article.bodyElement)]
+            .filter(element => isBeforeOrInside(element, bodyElement))
+            .sort((a, b) => (isBeforeOrInside(a, b) ? -1 : 1))
+            .pop() || null;
+        const article = createArticle(bodyElement, findTitleElement(bodyElement, previousBodyElement));
+        const title = getArticleTitle(article);
+        if (!title || !getArticleBody(article)) {
+            continue;
+        }
+        article.url = getArticleUrl(article, title, [...articles, ...newArticles]);
+        newArticles.push(article);
+    }
+
+    articles = [...articles, ...newArticles].sort((a, b) => (isBeforeOrInside(a.bodyElement, b.bodyElement) ? -1 : 1));
+    if (newArticles.length > 0) {
+        console.log(`Found ${newArticles.length} new article(s) on the page.`);
+    }
+    return articles.filter(article => newArticles.includes(article));
+}
+
+/**
+ * Returns the article the user is reading: the one taking up most of the viewport.
+ * @returns {object|null} The article, or null if none was found.
+ */
+function getCurrentArticle() {
+    let currentArticle = articles[0] || null;
+    let maxVisibleHeight = 0;
+    for (const article of articles) {
+        const rect = article.bodyElement.getBoundingClientRect();
+        const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+        if (visibleHeight > maxVisibleHeight) {
+            maxVisibleHeight = visibleHeight;
+            currentArticle = article;
+        }
+    }
+    return currentArticle;
+}
+
+/**
+ * Records the original title and body of an article before they are replaced,
+ * so showOriginalArticle() can put them back exactly as they were.
+ * The original body nodes are kept as live nodes (not clones), so any event listeners
+ * the site attached to them keep working after a restore.
+ * @param {object} article The article.
+ */
+function snapshotOriginalArticle(article) {
+    const { titleElement, bodyElement } = article;
+
+    article.views = {
+        showing: 'original',
+        documentTitle: document.title,
+        transformedDocumentTitle: null, // Only set when there was no H1 and document.title was replaced
+        title: titleElement ? {
+            element: titleElement,
+            originalNodes: Array.from(titleElement.childNodes),
+            originalStyle: titleElement.getAttribute('style'),
+            transformedNodes: null,
+            transformedStyle: null
+        } : null,
+        body: bodyElement ? {
+            element: bodyElement,
+            originalNodes: Array.from(bodyElement.childNodes),
+            transformedNodes: null
+        } : null,
+        appendedSection: null // Set when the lyrics had to be appended to the page instead
+    };
+    console.log("Snapshot of the original article taken.");
+}
+
+/**
+ * Sets (or removes, for null) the inline style attribute of an element.
+ * Restoring the attribute itself rather than individual properties keeps the original styles exact.
+ * @param {HTMLElement} element The element to update.
+ * @param {string|null} style The value of the style attribute, or null if it had none.
+ */
+function setStyleAttribute(element, style) {
+    if (style === null) {
+        element.removeAttribute('style');
+    } else {
+        element.setAttribute('style', style);
+    }
+}
 
 /**
  * Replaces the article title on the page with the generated movie title.
+ * @param {object} article The article.
  * @param {string} newTitle The new movie title.
  */
-function updateArticleTitle(newTitle) {
-    // Only target H1s for visual update, meta tags are updated in getArticleTitle if no H1 is found
-    const h1Elements = document.querySelectorAll('h1.artTitle, h1[itemprop="headline"], h1.story-title, h1.headline, h1');
-
-    if (h1Elements.length > 0) {
-        // Prioritize specific h1 classes, then general h1
-        const mainTitleElement = document.querySelector('h1.artTitle') ||
-                                 document.querySelector('h1[itemprop="headline"]') ||
-                                 document.querySelector('h1.story-title') ||
-                                 document.querySelector('h1.headline') ||
-                                 h1Elements[0]; // Fallback to the first found h1
-
-        if (mainTitleElement) {
-            mainTitleElement.textContent = `🎬 ${newTitle} 🎶`; // Add emojis for flair
-            mainTitleElement.style.color = '#8B0000'; // Dark red for dramatic effect
-            mainTitleElement.style.fontSize = '2.5rem'; // Larger font size
-            mainTitleElement.style.textAlign = 'center';
-            mainTitleElement.style.fontWeight = 'bold';
-            mainTitleElement.style.marginBottom = '20px';
-            mainTitleElement.style.marginTop = '20px';
-            console.log("Article title updated successfully.");
-            return; // Stop after updating the most prominent H1
+function updateArticleTitle(article, newTitle) {
+    // Only target H1s for visual update, meta tags are updated in getArticleTitle if no H1 is found.
+    const articleViews = article.views;
+    const mainTitleElement = article.titleElement;
+
+    if (mainTitleElement) {
+        mainTitleElement.textContent = `🎬 ${newTitle} 🎶`; // Add emojis for flair
+        mainTitleElement.style.color = '#8B0000'; // Dark red for dramatic effect
+        mainTitleElement.style.fontSize = '2.5rem'; // Larger font size
+        mainTitleElement.style.textAlign = 'center';
+        mainTitleElement.style.fontWeight = 'bold';
+        mainTitleElement.style.marginBottom = '20px';
+        mainTitleElement.style.marginTop = '20px';
+
+        if (articleViews && articleViews.title && articleViews.title.element === mainTitleElement) {
+            articleViews.title.transformedNodes = Array.from(mainTitleElement.childNodes);
+            articleViews.title.transformedStyle = mainTitleElement.getAttribute('style');
         }
+        console.log("Article title updated successfully.");
+        return; // Stop after updating the most prominent H1
     }
     // If no suitable H1 found, update the document title as a fallback (less visual impact)
     console.warn("No prominent H1 found to update visually. Attempting to update document.title.");
     document.title = newTitle;
+    if (articleViews) {
+        articleViews.transformedDocumentTitle = newTitle;
+    }
 }
 
 /**
- * Replaces the article body with the generated song lyrics.
- * It will try to find the most suitable container for the article body
- * and replace its content.
- * @param {string} songLyrics The generated Bollywood song lyrics.
- */
-function updateArticleBody(songLyrics) {
-    // These selectors are ordered by how likely they are to be the main article content wrapper,
-    // based on inspection of the provided ToI HTML.
-    const articleBodyContainerSelectors = [
-        'div[data-articlebody="1"]', // Strongest candidate from provided HTML
-        'div.vSlIC',                 // Often the direct container of text within data-articlebody
-        'div._3g2R-',                 // Common wrapper on ToI
-        'article',             // Semantic HTML5 tag for main content
-        'div.story-content',
-        'div.article-body',
-        'div.Normal',          // Sometimes individual paragraphs or small sections have this class
-        'div.section-article-text',
-        'div.content-wrapper',
-        'div.article-detail',
-        'div.entry-content',
-        'div.td-post-content',
-        'div.primary-content',
-        'div.fl-post-content',
-        'div.inner-content',
-        'div.story-element-text',
-        'div.detail-content',
-        'div._3MkB4',
-        'div[data-story-id]',
-        'div.article-content',
-        'div.full_story',
-        'div#content-area',
-        'div.story_content'
-    ];
-
-    let mainArticleElement = null;
-    for (const selector of articleBodyContainerSelectors) {
-        const element = document.querySelector(selector);
-        // Check if element exists, is visible, and contains content (paragraphs or text)
-        if (element && element.offsetParent !== null) {
-            // Heuristic: Check if it contains any 'p' elements or 'div.Normal' elements,
-            // OR if the element itself has significant text content (more than 200 characters),
-            // OR if it's a known direct text container like '.vSlIC' and has text.
-            if (element.querySelector('p') || element.querySelector('div.Normal') || element.textContent.trim().length > 200 || (selector === 'div.vSlIC' && element.textContent.trim().length > 50)) {
-                mainArticleElement = element;
-                console.log(`Found main article content container for update: ${selector}`);
-                break; // Found the best match, stop searching
-            }
-        }
+ * Creates a paragraph with the given text.
+ * @param {string} text The text of the paragraph.
+ * @param {string} [className] The class to style it with (see UI_STYLES).
+ * @returns {HTMLParagraphElement}
+ */
+function createLyricsParagraph(text, className) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    if (className) {
+        p.className = className;
     }
+    return p;
+}
 
-    if (mainArticleElement) {
-        console.log(`Attempting to clear and replace content of element: ${mainArticleElement.tagName} with ID: ${mainArticleElement.id || 'N/A'}, Class: ${mainArticleElement.className || 'N/A'}`);
+/**
+ * Fills the lyrics card with the transformation: the tagline, the song title and its sections,
+ * and the cast. Transformations from the separate-requests path only have plain lyrics,
+ * which are shown line by line.
+ * @param {HTMLElement} lyricsContainer The lyrics card.
+ * @param {object} transformation The transformation from the background script.
+ */
+function appendLyricsContent(lyricsContainer, transformation) {
+    if (transformation.tagline) {
+        lyricsContainer.appendChild(createLyricsParagraph(`“${transformation.tagline}”`, 'tagline'));
+    }
 
-        // Aggressively clear existing content within the chosen main article element.
-        // This removes all child nodes and also clears any direct text content.
-        mainArticleElement.innerHTML = ''; // This is usually sufficient and faster for clearing
+    const song = transformation.song;
+    if (!song || !Array.isArray(song.sections)) {
+        const lines = transformation.songLyrics.split('\n').filter(line => line.trim() !== '');
+        lines.forEach(line => lyricsContainer.appendChild(createLyricsParagraph(line, 'line')));
+        return;
+    }
 
-        // Create a new div to hold the lyrics
-        const lyricsContainer = document.createElement('div');
-        lyricsContainer.className = 'bollywood-lyrics-container text-center py-8 px-4 bg-gradient-to-r from-purple-100 to-pink-100 rounded-lg shadow-lg my-8 mx-auto max-w-2xl'; // Added max-width and auto margins for centering
-        lyricsContainer.style.fontFamily = "'Dancing Script', cursive"; // A more artistic font
-        lyricsContainer.style.fontSize = '1.2rem';
-        lyricsContainer.style.lineHeight = '1.8';
-        lyricsContainer.style.color = '#4A0033'; // Dark purple/maroon text
-        lyricsContainer.style.width = '100%'; // Ensure it takes full width of its parent
+    if (song.title) {
+        const songTitle = document.createElement('h3');
+        songTitle.textContent = `🎵 ${song.title} 🎵`;
+        lyricsContainer.appendChild(songTitle);
+    }
+    song.sections.forEach(section => {
+        const sectionElement = document.createElement('div');
+        // The chorus is what the audience sings along to, so UI_STYLES makes it stand out
+        sectionElement.className = `section ${section.type}`;
+        sectionElement.appendChild(createLyricsParagraph(`(${section.type.charAt(0).toUpperCase()}${section.type.slice(1)})`, 'section-label'));
+        section.lines.forEach(line => sectionElement.appendChild(createLyricsParagraph(line, 'line')));
+        lyricsContainer.appendChild(sectionElement);
+    });
 
-        const lines = songLyrics.split('\n').filter(line => line.trim() !== '');
-        lines.forEach(line => {
-            const p = document.createElement('p');
-            p.textContent = line;
-            p.className = 'my-2'; // Tailwind margin for paragraphs
-            lyricsContainer.appendChild(p);
-        });
+    if (Array.isArray(transformation.cast) && transformation.cast.length > 0) {
+        const starring = transformation.cast.map(member => `${member.actor} as ${member.role}`).join(', ');
+        lyricsContainer.appendChild(createLyricsParagraph(`Starring: ${starring}`, 'starring'));
+    }
+}
 
-        // Add a signature
-        const signature = document.createElement('p');
-        signature.textContent = "— Your Bollywood News Transformer";
-        signature.className = 'mt-6 italic text-gray-600 text-sm';
-        lyricsContainer.appendChild(signature);
+/**
+ * Creates the empty card the song lyrics are shown in, inside its own shadow root (see createShadowUi).
+ * @returns {HTMLDivElement} The card, to fill with the lyrics.
+ */
+function createLyricsCard() {
+    const { root } = createShadowUi('bollywood-lyrics-container');
+    const lyricsContainer = document.createElement('div');
+    lyricsContainer.className = 'card lyrics';
+    root.appendChild(lyricsContainer);
+    return lyricsContainer;
+}
 
-        mainArticleElement.appendChild(lyricsContainer);
-        console.log("Article body updated with song lyrics.");
+/**
+ * Puts a lyrics card in place of the article body's content.
+ * @param {object} article The article.
+ * @param {HTMLDivElement} lyricsContainer The lyrics card.
+ */
+function showLyricsCard(article, lyricsContainer) {
+    // Swap the original children out for the lyrics. replaceChildren() detaches the
+    // original nodes without destroying them, unlike clearing innerHTML.
+    const host = lyricsContainer.getRootNode().host;
+    article.bodyElement.replaceChildren(host);
+    if (article.views && article.views.body) {
+        article.views.body.transformedNodes = [host];
+    }
+
+    loadLyricsFont();
+}
 
-        // Add a link to Google Fonts for 'Dancing Script' if it's not already loaded
+/**
+ * Adds a link to Google Fonts for 'Dancing Script', the lyrics' font, if it's not already loaded.
+ * Fonts only load from the page, not from inside a shadow root.
+ */
+function loadLyricsFont() {
+    if (!document.getElementById('bollywoodLyricsFont')) {
         const link = document.createElement('link');
+        link.id = 'bollywoodLyricsFont';
         link.href = 'https://fonts.googleapis.com/css2?family=Dancing+Script:wght@700&display=swap';
         link.rel = 'stylesheet';
         document.head.appendChild(link);
+    }
+}
+
+/**
+ * Starts typing streamed song lyrics into the page, in a card in place of the article body.
+ * @param {object} article The article.
+ */
+function startLyricsTyping(article) {
+    const card = createLyricsCard();
+    showLyricsCard(article, card);
+    const lyricsTyper = {
+        card,
+        paragraph: null, // The line being typed
+        text: '', // Everything received so far
+        shown: 0, // How much of it is on the page
+        timer: null
+    };
+    lyricsTyper.timer = setInterval(() => typeLyrics(lyricsTyper), 30);
+    article.lyricsTyper = lyricsTyper;
+}
+
+/**
+ * Queues a chunk of streamed song lyrics to be typed into the page.
+ * @param {object} article The article.
+ * @param {string} text The chunk of lyrics.
+ */
+function queueLyrics(article, text) {
+    if (!article.lyricsTyper) {
+        startLyricsTyping(article);
+    }
+    article.lyricsTyper.text += text;
+}
+
+/**
+ * Types the next few characters of the queued lyrics, one paragraph per line.
+ * @param {object} lyricsTyper The lyrics being typed (see startLyricsTyping).
+ */
+function typeLyrics(lyricsTyper) {
+    // Type faster when falling behind, so the page never lags far behind the stream
+    const count = Math.max(2, Math.ceil((lyricsTyper.text.length - lyricsTyper.shown) / 30));
+    const next = lyricsTyper.text.slice(lyricsTyper.shown, lyricsTyper.shown + count);
+    lyricsTyper.shown += next.length;
+    for (const character of next) {
+        if (character === '\n') {
+            lyricsTyper.paragraph = null;
+        } else {
+            if (!lyricsTyper.paragraph) {
+                lyricsTyper.paragraph = createLyricsParagraph('');
+                lyricsTyper.card.appendChild(lyricsTyper.paragraph);
+            }
+            lyricsTyper.paragraph.textContent += character;
+        }
+    }
+}
+
+/**
+ * Stops typing streamed lyrics, e.g. once the complete transformation is in.
+ * @param {object} article The article.
+ */
+function stopLyricsTyping(article) {
+    if (article.lyricsTyper) {
+        clearInterval(article.lyricsTyper.timer);
+        article.lyricsTyper = null;
+    }
+}
+
+/**
+ * Picks the voice to read lyrics with: an Indian voice for the lyrics' script, if the browser has one.
+ * @param {string} text The lyrics.
+ * @returns {object} { voice, lang }: the voice, or null to let the browser pick one for the language.
+ */
+function pickReadAloudVoice(text) {
+    const { languages } = READ_ALOUD_LANGUAGES.find(entry => entry.pattern.test(text));
+    // Some platforms name languages with an underscore (hi_IN)
+    const voices = speechSynthesis.getVoices();
+    for (const lang of languages) {
+        const voice = voices.find(candidate => candidate.lang.replace('_', '-').toLowerCase() === lang.toLowerCase());
+        if (voice) {
+            return { voice, lang };
+        }
+    }
+    return { voice: null, lang: languages[0] };
+}
+
+/**
+ * Adds the read-aloud controls to a lyrics card: play/pause, stop and a speed picker.
+ * @param {object} article The article the card belongs to.
+ * @param {HTMLDivElement} lyricsContainer The lyrics card, with its lines already in it.
+ */
+function addReadAloudControls(article, lyricsContainer) {
+    const controls = document.createElement('div');
+    controls.className = 'read-aloud';
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.className = 'play';
+    playButton.textContent = '▶ Read aloud';
+    playButton.addEventListener('click', () => {
+        if (!lyricsReader || lyricsReader.controls !== controls) {
+            startReadingAloud(article, controls);
+        } else if (speechSynthesis.paused) {
+            speechSynthesis.resume();
+            playButton.textContent = '⏸ Pause';
+        } else {
+            speechSynthesis.pause();
+            playButton.textContent = '▶ Resume';
+        }
+    });
+
+    const stopButton = document.createElement('button');
+    stopButton.type = 'button';
+    stopButton.className = 'stop';
+    stopButton.textContent = '⏹ Stop';
+    stopButton.hidden = true;
+    stopButton.addEventListener('click', () => stopReadingAloud());
+
+    const speedLabel = document.createElement('label');
+    speedLabel.textContent = 'Speed ';
+    const speedSelect = document.createElement('select');
+    READ_ALOUD_RATES.forEach(rate => {
+        const option = document.createElement('option');
+        option.value = String(rate);
+        option.textContent = `${rate}×`;
+        option.selected = rate === 1;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', () => {
+        if (lyricsReader && lyricsReader.controls === controls) {
+            lyricsReader.rate = Number(speedSelect.value);
+            // An utterance's rate is fixed once it's queued, so start the current line again at the new speed
+            if (!speechSynthesis.paused) {
+                speakNextLine(lyricsReader);
+            }
+        }
+    });
+    speedLabel.appendChild(speedSelect);
+
+    controls.append(playButton, stopButton, speedLabel);
+    lyricsContainer.prepend(controls);
+}
+
+/**
+ * Starts reading a lyrics card aloud, line by line, highlighting each line as it's spoken.
+ * Stops whatever else was being read.
+ * @param {object} article The article the card belongs to.
+ * @param {HTMLDivElement} controls The card's read-aloud controls (see addReadAloudControls).
+ */
+function startReadingAloud(article, controls) {
+    stopReadingAloud();
+    const lyricsContainer = controls.parentElement;
+    const lines = Array.from(lyricsContainer.querySelectorAll('.line'));
+    const { voice, lang } = pickReadAloudVoice(lines.map(line => line.textContent).join('\n'));
+    lyricsReader = {
+        article,
+        controls,
+        lines,
+        voice,
+        lang,
+        index: 0, // The line being spoken
+        rate: Number(controls.querySelector('select').value),
+        utterance: null
+    };
+    controls.querySelector('.play').textContent = '⏸ Pause';
+    controls.querySelector('.stop').hidden = false;
+    speakNextLine(lyricsReader);
+}
 
+/**
+ * Speaks the current line of the lyrics being read, then moves on to the next one when it's done.
+ * Speaking line by line is what lets us highlight the lines, and keeps each utterance short,
+ * since Chrome cuts off long ones.
+ * @param {object} reader The lyrics being read (see startReadingAloud).
+ */
+function speakNextLine(reader) {
+    if (reader.index >= reader.lines.length) {
+        stopReadingAloud();
+        return;
+    }
+    const line = reader.lines[reader.index];
+    const utterance = new SpeechSynthesisUtterance(line.textContent);
+    utterance.lang = reader.lang;
+    if (reader.voice) {
+        utterance.voice = reader.voice;
+    }
+    utterance.rate = reader.rate;
+    // Cancelling (to stop, or to change the speed) ends the utterance too, so only act for the current one
+    const isCurrent = () => lyricsReader === reader && reader.utterance === utterance;
+    utterance.onstart = () => {
+        if (isCurrent()) {
+            reader.lines.forEach(other => other.classList.toggle('speaking', other === line));
+            line.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    };
+    utterance.onend = () => {
+        if (isCurrent()) {
+            reader.index++;
+            speakNextLine(reader);
+        }
+    };
+    utterance.onerror = event => {
+        if (isCurrent() && event.error !== 'interrupted' && event.error !== 'canceled') {
+            console.warn("Reading the lyrics aloud failed:", event.error);
+            stopReadingAloud();
+        }
+    };
+
+    reader.utterance = utterance;
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+}
+
+/**
+ * Stops reading the lyrics aloud and resets the card's controls.
+ * @param {object} [article] Only stop if the lyrics being read are this article's; stops any when omitted.
+ */
+function stopReadingAloud(article) {
+    if (!lyricsReader || (article && lyricsReader.article !== article)) {
+        return;
+    }
+    const { controls, lines } = lyricsReader;
+    lyricsReader = null;
+    // Chrome keeps the queue paused across cancel(), which would silence the next reading
+    speechSynthesis.resume();
+    speechSynthesis.cancel();
+    lines.forEach(line => line.classList.remove('speaking'));
+    controls.querySelector('.play').textContent = '▶ Read aloud';
+    controls.querySelector('.stop').hidden = true;
+}
+
+/**
+ * Returns the name of the newspaper the article is from, for the poster's credits.
+ * @returns {string}
+ */
+function getNewspaperName() {
+    const adapter = getSiteAdapter(location.hostname);
+    return adapter !== GENERIC_SITE_ADAPTER ? adapter.name : location.hostname.replace(/^www\./, '');
+}
+
+/**
+ * Creates the "Make poster" button shown with the lyrics.
+ * @param {object} transformation The transformation from the background script.
+ * @returns {HTMLDivElement}
+ */
+function createPosterAction(transformation) {
+    const action = document.createElement('div');
+    action.className = 'poster-action';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = '🎨 Make poster';
+    button.addEventListener('click', () => showPosterDialog(transformation));
+    action.appendChild(button);
+    return action;
+}
+
+/**
+ * Creates a select for the poster dialog.
+ * @param {string} label The select's label.
+ * @param {object} choices The choices, keyed by id, each with a label (e.g. POSTER_THEMES).
+ * @param {string} selected The id of the selected choice.
+ * @returns {HTMLLabelElement} The label, with the select inside it.
+ */
+function createPosterSelect(label, choices, selected) {
+    const labelElement = document.createElement('label');
+    labelElement.textContent = `${label} `;
+    const select = document.createElement('select');
+    for (const [id, choice] of Object.entries(choices)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = choice.label;
+        option.selected = id === selected;
+        select.appendChild(option);
+    }
+    labelElement.appendChild(select);
+    return labelElement;
+}
+
+/**
+ * Opens a dialog previewing a movie poster of the transformation (see poster.js), with a choice of
+ * layouts and colour themes, to download as a PNG or copy to the clipboard.
+ * @param {object} transformation The transformation from the background script.
+ */
+function showPosterDialog(transformation) {
+    const existingDialog = document.getElementById('bollywoodPosterDialog');
+    if (existingDialog) {
+        existingDialog.remove();
+    }
+    const poster = {
+        movieTitle: transformation.movieTitle,
+        tagline: transformation.tagline || '',
+        source: getNewspaperName(),
+        lyrics: getPosterLyricsExcerpt(transformation.songLyrics)
+    };
+
+    const { host, root } = createShadowUi('bollywood-poster-dialog');
+    host.id = 'bollywoodPosterDialog';
+    const overlay = document.createElement('div');
+    overlay.className = 'poster-overlay';
+    const panel = document.createElement('div');
+    panel.className = 'poster-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Movie poster');
+
+    const heading = document.createElement('h2');
+    heading.textContent = '🎬 Movie poster';
+    const layoutLabel = createPosterSelect('Layout', POSTER_LAYOUTS, DEFAULT_POSTER_LAYOUT);
+    const themeLabel = createPosterSelect('Theme', POSTER_THEMES, DEFAULT_POSTER_THEME);
+    const choices = document.createElement('div');
+    choices.className = 'row';
+    choices.append(layoutLabel, themeLabel);
+
+    let canvas = renderPoster(poster, DEFAULT_POSTER_LAYOUT, DEFAULT_POSTER_THEME);
+    const redraw = () => {
+        const newCanvas = renderPoster(poster, layoutLabel.querySelector('select').value, themeLabel.querySelector('select').value);
+        canvas.replaceWith(newCanvas);
+        canvas = newCanvas;
+    };
+    layoutLabel.querySelector('select').addEventListener('change', redraw);
+    themeLabel.querySelector('select').addEventListener('change', redraw);
+
+    const status = document.createElement('p');
+    status.className = 'status';
+    status.setAttribute('role', 'status');
+    const setStatus = (message, type) => {
+        status.textContent = message;
+        status.classList.toggle('error', type === 'error');
+    };
+
+    const downloadButton = document.createElement('button');
+    downloadButton.type = 'button';
+    downloadButton.textContent = 'Download PNG';
+    downloadButton.addEventListener('click', async () => {
+        try {
+            const url = URL.createObjectURL(await posterToPngBlob(canvas));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = getPosterFileName(poster.movieTitle);
+            link.click();
+            // Give the download a moment to start before releasing the image
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            setStatus("Poster downloaded.");
+        } catch (error) {
+            console.warn("Could not download the poster:", error);
+            setStatus(`Could not download the poster: ${error.message}`, 'error');
+        }
+    });
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = 'Copy image';
+    copyButton.addEventListener('click', async () => {
+        try {
+            // Handing ClipboardItem the pending blob keeps the write within the click's user activation
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': posterToPngBlob(canvas) })]);
+            setStatus("Poster copied to the clipboard.");
+        } catch (error) {
+            console.warn("Could not copy the poster:", error);
+            setStatus("Could not copy the poster on this page. Download it instead.", 'error');
+        }
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'close';
+    closeButton.textContent = 'Close';
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    actions.append(downloadButton, copyButton, closeButton);
+
+    panel.append(heading, canvas, choices, actions, status);
+    overlay.appendChild(panel);
+    root.appendChild(overlay);
+    document.body.appendChild(host);
+
+    const onKeyDown = event => {
+        if (event.key === 'Escape') {
+            closeDialog();
+        }
+    };
+    const closeDialog = () => {
+        host.remove();
+        document.removeEventListener('keydown', onKeyDown);
+    };
+    closeButton.addEventListener('click', closeDialog);
+    // A click on the dimmed page around the panel closes the dialog too
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay) {
+            closeDialog();
+        }
+    });
+    document.addEventListener('keydown', onKeyDown);
+    downloadButton.focus();
+}
+
+/**
+ * Replaces the article body with the generated song lyrics.
+ * The original content is detached rather than destroyed (see snapshotOriginalArticle),
+ * so it can be restored later.
+ * @param {object} article The article.
+ * @param {object} transformation The transformation from the background script: songLyrics, and
+ * with structured output also tagline, song ({ title, sections }) and cast.
+ */
+function updateArticleBody(article, transformation) {
+    const songLyrics = transformation.songLyrics;
+    const mainArticleElement = article.bodyElement;
+
+    if (mainArticleElement.isConnected) {
+        console.log(`Attempting to replace content of element: ${mainArticleElement.tagName} with ID: ${mainArticleElement.id || 'N/A'}, Class: ${mainArticleElement.className || 'N/A'}`);
+
+        const lyricsContainer = createLyricsCard();
+        appendLyricsContent(lyricsContainer, transformation);
+
+        lyricsContainer.appendChild(createPosterAction(transformation));
+
+        // Add a signature
+        lyricsContainer.appendChild(createLyricsParagraph("— Your Bollywood News Transformer", 'signature'));
+
+        if ('speechSynthesis' in window && lyricsContainer.querySelector('.line')) {
+            addReadAloudControls(article, lyricsContainer);
+        }
+
+        showLyricsCard(article, lyricsContainer);
+        console.log("Article body updated with song lyrics.");
     } else {
-        console.warn("No suitable article body container found for update. Appending new content to body as fallback. This might be off-screen or not replace original content.");
+        console.warn("The article body container is no longer on the page. Appending new content to body as fallback. This might be off-screen or not replace original content.");
         // Fallback: If no specific container, just append a new section to the body
-        const newSection = document.createElement('div');
-        newSection.className = 'bollywood-content-appended text-center py-8 px-4 mt-8 bg-gradient-to-r from-blue-100 to-indigo-100 rounded-lg shadow-lg my-8 mx-auto max-w-2xl'; // Added max-width and auto margins for centering
-        newSection.innerHTML = `
-            <h2 class="text-2xl font-bold text-purple-700 mb-4">� A Bollywood Extravaganza! 🎶</h2>
-            <div class="text-lg text-gray-800 whitespace-pre-wrap">${songLyrics}</div>
-            <p class="mt-6 italic text-gray-600 text-sm">— Your Bollywood News Transformer</p>
-        `;
+        const { host: newSection, root } = createShadowUi('bollywood-content-appended');
+        const content = document.createElement('div');
+        content.className = 'card appended';
+        const heading = document.createElement('h2');
+        heading.textContent = "🎬 A Bollywood Extravaganza! 🎶";
+        const lyricsText = document.createElement('div');
+        lyricsText.className = 'lyrics-text';
+        lyricsText.textContent = songLyrics;
+        content.append(heading, lyricsText, createPosterAction(transformation), createLyricsParagraph("— Your Bollywood News Transformer", 'signature'));
+        root.appendChild(content);
         document.body.appendChild(newSection);
+        article.views.appendedSection = newSection;
         console.log("New Bollywood content appended to body.");
     }
 }
 
 /**
- * Initiates the article transformation process.
+ * Puts the original article title and body back, exactly as they were before the transform.
+ * @param {object} article The article.
+ */
+function showOriginalArticle(article) {
+    const articleViews = article.views;
+    if (!articleViews) {
+        return;
+    }
+    stopReadingAloud(article);
+    const { title, body, appendedSection } = articleViews;
+    if (title) {
+        title.element.replaceChildren(...title.originalNodes);
+        setStyleAttribute(title.element, title.originalStyle);
+    }
+    if (body && body.transformedNodes) {
+        body.element.replaceChildren(...body.originalNodes);
+    }
+    if (appendedSection) {
+        appendedSection.style.display = 'none';
+    }
+    if (articleViews.transformedDocumentTitle) {
+        document.title = articleViews.documentTitle;
+    }
+    articleViews.showing = 'original';
+    console.log("Showing the original article.");
+}
+
+/**
+ * Switches an article back to the generated movie title and song lyrics.
+ * @param {object} article The article.
+ */
+function showTransformedArticle(article) {
+    const articleViews = article.views;
+    if (!articleViews) {
+        return;
+    }
+    const { title, body, appendedSection } = articleViews;
+    if (title && title.transformedNodes) {
+        title.element.replaceChildren(...title.transformedNodes);
+        setStyleAttribute(title.element, title.transformedStyle);
+    }
+    if (body && body.transformedNodes) {
+        body.element.replaceChildren(...body.transformedNodes);
+    }
+    if (appendedSection) {
+        appendedSection.style.display = '';
+    }
+    if (articleViews.transformedDocumentTitle) {
+        document.title = articleViews.transformedDocumentTitle;
+    }
+    articleViews.showing = 'transformed';
+    console.log("Showing the transformed article.");
+}
+
+/**
+ * Returns the articles on the page that have been transformed.
+ * @returns {Array<object>}
+ */
+function getTransformedArticles() {
+    return articles.filter(article => article.views && article.isTransformed);
+}
+
+/**
+ * Switches between the original and transformed views of the transformed articles on the page.
+ * @param {string} [view] 'original' or 'transformed' to show a specific view; toggles when omitted,
+ * based on the view of the article being read.
+ * @returns {string|null} The view now being shown, or null if no article has been transformed.
+ */
+function toggleArticleView(view) {
+    const transformedArticles = getTransformedArticles();
+    if (transformedArticles.length === 0) {
+        console.warn("Nothing to toggle: the article has not been transformed yet.");
+        return null;
+    }
+    const currentArticle = transformedArticles.includes(getCurrentArticle()) ? getCurrentArticle() : transformedArticles[0];
+    const target = view || (currentArticle.views.showing === 'transformed' ? 'original' : 'transformed');
+    transformedArticles.forEach(article => {
+        if (target === 'original') {
+            showOriginalArticle(article);
+        } else {
+            showTransformedArticle(article);
+        }
+    });
+    updateViewToggleButton();
+    return target;
+}
+
+/**
+ * Adds a floating button to the page that switches between the original and transformed article.
+ */
+function createViewToggleButton() {
+    if (document.getElementById('bollywoodViewToggle')) {
+        return;
+    }
+    const { host, root } = createShadowUi('bollywood-view-toggle');
+    host.id = 'bollywoodViewToggle';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'view-toggle';
+    button.addEventListener('click', () => toggleArticleView());
+    root.appendChild(button);
+    document.body.appendChild(host);
+    updateViewToggleButton();
+}
+
+/**
+ * Keeps the floating toggle's label in sync with the view currently shown.
+ */
+function updateViewToggleButton() {
+    const host = document.getElementById('bollywoodViewToggle');
+    const button = host && host.shadowRoot.querySelector('button');
+    const transformedArticles = getTransformedArticles();
+    if (!button || transformedArticles.length === 0) {
+        return;
+    }
+    const currentArticle = transformedArticles.includes(getCurrentArticle()) ? getCurrentArticle() : transformedArticles[0];
+    button.textContent = currentArticle.views.showing === 'transformed' ? '📰 Show original article' : '🎬 Show Bollywood version';
+}
+
+/**
+ * Returns the canonical URL of the article, which the background script caches transformations under.
+ * Falls back to the page URL without its query string and fragment.
+ * @returns {string}
+ */
+function getCanonicalUrl() {
+    const canonicalLink = document.querySelector('link[rel="canonical"]');
+    if (canonicalLink && canonicalLink.href) {
+        return canonicalLink.href;
+    }
+    const ogUrlMeta = document.querySelector('meta[property="og:url"]');
+    if (ogUrlMeta && ogUrlMeta.content) {
+        return ogUrlMeta.content;
+    }
+    return `${location.origin}${location.pathname}`;
+}
+
+// Error codes (see LLM_ERROR_MESSAGES in providers.js) that only the user can fix, on the options page
+const SETTINGS_ERROR_CODES = ['missingApiKey', 'unauthorized', 'forbidden', 'notFound'];
+
+/**
+ * Picks the button to show next to a transformation error: a way to the options page for
+ * configuration problems, or a retry for transient ones (rate limits, timeouts, ...).
+ * @param {object|undefined} response The error response from the background script.
+ * @param {object} article The article that failed to transform.
+ * @param {boolean} regenerate Whether the failed attempt was a regeneration.
+ * @returns {object|undefined} The action for showMessageBox, or undefined for none.
+ */
+function getErrorAction(response, article, regenerate) {
+    if (response && SETTINGS_ERROR_CODES.includes(response.code)) {
+        return {
+            label: 'Open settings',
+            onClick: () => chrome.runtime.sendMessage({ action: "openOptionsPage" })
+        };
+    }
+    if (response && response.retryable) {
+        return {
+            label: 'Try again',
+            onClick: () => transformArticle(article, { regenerate })
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Asks the background script for a transformation over a port, which reports progress as it's
+ * made: the movie title once it's generated, then the song lyrics as they stream in.
+ * @param {object} article The article being transformed.
+ * @param {object} request The article, as { articleUrl, articleTitle, articleBody, regenerate, snippet },
+ * with snippet set to 'selection' or 'headline' for a selection or a headline (see transformSnippet).
+ * @param {function(object): void} onUpdate Called with each { type: 'status' | 'title' | 'lyrics' } update.
+ * @returns {Promise<object>} The background script's final response, or a 'cancelled' error
+ * response if cancelTransformation() was called first.
+ */
+function requestTransformation(article, request, onUpdate) {
+    return new Promise(resolve => {
+        const port = chrome.runtime.connect({ name: "transformArticle" });
+        const finish = response => {
+            article.transformation = null;
+            port.disconnect();
+            resolve(response);
+        };
+        article.transformation = { port, finish };
+
+        port.onMessage.addListener(message => {
+            if (message.type === 'result') {
+                finish(message.response);
+            } else {
+                onUpdate(message);
+            }
+        });
+        // Only fires when the background script goes away (e.g. the extension was reloaded)
+        port.onDisconnect.addListener(() => {
+            if (article.transformation && article.transformation.port === port) {
+                finish({ success: false, error: "Lost the connection to the extension." });
+            }
+        });
+        port.postMessage(request);
+    });
+}
+
+/**
+ * Cancels an article's transformation in flight, if any. Disconnecting the port aborts the requests
+ * to the model provider.
+ * @param {object} article The article.
+ */
+function cancelTransformation(article) {
+    if (article.transformation) {
+        console.log("Cancelling the transformation.");
+        article.transformation.finish({ success: false, code: 'cancelled', error: "The transformation was cancelled." });
+    }
+}
+
+// The overlay's way out of the transformations in flight
+const CANCEL_ACTION = { label: 'Cancel', onClick: () => articles.forEach(cancelTransformation) };
+
+/**
+ * Initiates the transformation of an article.
  * Extracts title and body, then sends them to the background script.
- * Listens for the response and updates the page.
+ * Updates the page as the transformation comes in: the movie title first, then the song lyrics,
+ * typed out as they stream in.
+ * @param {object} article The article (see createArticle).
+ * @param {object} [options]
+ * @param {boolean} [options.regenerate] True to skip the cache and generate a new transformation,
+ * even if the article is already transformed.
+ * @returns {Promise<object>} { success: true } once the page shows the Bollywood version,
+ * or { success: false, error } if it couldn't be transformed.
  */
-async function transformArticle() {
+async function transformArticle(article, { regenerate = false } = {}) {
     // Prevent multiple runs if the script is injected multiple times
-    if (isTransformed) {
-        console.log("Transformation already performed on this page. Skipping re-run.");
-        return;
+    if (article.isTransformed && !regenerate) {
+        console.log("Transformation already performed on this article. Skipping re-run.");
+        return { success: true };
+    }
+    if (article.isTransforming) {
+        console.log("Transformation already in progress. Skipping re-run.");
+        return { success: false, error: "A transformation is already in progress." };
+    }
+
+    // Regenerating starts from the original article, which is what we extract from
+    const wasTransformed = article.isTransformed;
+    if (wasTransformed) {
+        showOriginalArticle(article);
     }
 
     console.log("Attempting to transform article...");
-    const title = getArticleTitle();
-    const body = getArticleBody();
+    const title = getArticleTitle(article);
+    const body = getArticleBody(article);
 
     if (title && body) {
-        showMessageBox("Transforming article... Please wait for the magic!", 'success');
+        showMessageBox("Transforming article... Please wait for the magic!", 'success', CANCEL_ACTION);
         console.log("Article title and body extracted. Sending to background script.");
 
-        const response = await new Promise(resolve => {
-            chrome.runtime.sendMessage({
-                action: "transformArticle",
-                articleTitle: title,
-                articleBody: body
-            }, response => {
-                resolve(response);
-            });
-        });
+        // The previous version, to fall back on if regenerating fails or is cancelled
+        const previousViews = article.views;
+        let isUpdatingPage = false;
+        const onUpdate = update => {
+            if (update.type === 'status') {
+                showMessageBox(update.message, 'success', CANCEL_ACTION);
+                return;
+            }
+            if (!isUpdatingPage) {
+                snapshotOriginalArticle(article);
+                isUpdatingPage = true;
+            }
+            if (update.type === 'title') {
+                updateArticleTitle(article, update.movieTitle);
+                showMessageBox("Writing the song...", 'success', CANCEL_ACTION);
+            } else if (update.type === 'lyrics') {
+                queueLyrics(article, update.text);
+            }
+        };
+
+        article.isTransforming = true;
+        const response = await requestTransformation(article, {
+            articleUrl: article.url,
+            articleTitle: title,
+            articleBody: body,
+            regenerate
+        }, onUpdate);
+        stopLyricsTyping(article);
+        article.isTransforming = false;
+
+        // The page moved on (e.g. to another article) while this one was being transformed
+        if (!articles.includes(article)) {
+            console.log("The article left the page before its transformation finished.");
+            return { success: false, error: "The article is no longer on the page.", code: 'cancelled' };
+        }
 
         if (response && response.success) {
             console.log("Transformation successful. Updating page.");
-            updateArticleTitle(response.movieTitle);
-            updateArticleBody(response.songLyrics);
-            showMessageBox("Article transformed into a Bollywood masterpiece!", 'success');
-            isTransformed = true; // Set flag to true after successful transformation
-        } else {
-            console.error("Transformation failed:", response.error);
-            showMessageBox(`Transformation failed: ${response.error || 'Unknown error'}`, 'error');
+            if (previousViews && previousViews.appendedSection) {
+                previousViews.appendedSection.remove(); // Drop the lyrics section appended by the previous transform
+            }
+            if (!isUpdatingPage) {
+                snapshotOriginalArticle(article);
+            }
+            updateArticleTitle(article, response.movieTitle);
+            updateArticleBody(article, response);
+            article.views.showing = 'transformed';
+            article.isTransformed = true; // Set flag to true after successful transformation
+            createViewToggleButton();
+            updateViewToggleButton();
+            showMessageBox(response.cached ?
+                "Article transformed into a Bollywood masterpiece! (from cache)" :
+                "Article transformed into a Bollywood masterpiece!", 'success');
+            return { success: true, cached: Boolean(response.cached) };
         }
-    } else {
-        console.error("Could not extract enough information to transform the article.");
+        if (isUpdatingPage) {
+            showOriginalArticle(article); // Take the partly generated version off the page
+            article.views = previousViews;
+        }
+        if (wasTransformed) {
+            showTransformedArticle(article); // Keep the previous version rather than leaving the page half-done
+        }
+        if (response && response.code === 'cancelled') {
+            showMessageBox("Transformation cancelled.", 'success');
+            return { success: false, error: response.error, code: response.code };
+        }
+        const error = (response && response.error) || 'Unknown error';
+        console.error("Transformation failed:", response);
+        showMessageBox(`Transformation failed: ${error}`, 'error', getErrorAction(response, article, regenerate));
+        return { success: false, error, code: response && response.code };
+    }
+    if (wasTransformed) {
+        showTransformedArticle(article);
+    }
+    console.error("Could not extract enough information to transform the article.");
+    showMessageBox("Could not find enough article content to transform. Try a different article or newspaper.", 'error');
+    return { success: false, error: "Could not find enough article content to transform." };
+}
+
+/**
+ * Transforms the article the user is reading, e.g. when the popup or the context menu asks for it.
+ * @param {object} [options] See transformArticle().
+ * @returns {Promise<object>} See transformArticle().
+ */
+async function transformCurrentArticle(options) {
+    discoverArticles();
+    const article = getCurrentArticle();
+    if (!article) {
+        console.error("Could not find an article on the page.");
         showMessageBox("Could not find enough article content to transform. Try a different article or newspaper.", 'error');
+        return { success: false, error: "Could not find enough article content to transform." };
+    }
+    return transformArticle(article, options);
+}
+
+/**
+ * Finds the headline an element is part of: the heading it's in, the heading inside the link it's
+ * in (listings often wrap a whole teaser in a link), or else the link itself.
+ * @param {Element|null} element The element, e.g. the one the user right-clicked.
+ * @returns {object|null} { element, text, url }: the headline, its text, and the article it links
+ * to (or this page), or null if the element isn't part of a headline.
+ */
+function findHeadline(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE || element.closest(OWN_ELEMENTS_SELECTOR)) {
+        return null;
+    }
+    const link = element.closest('a[href]');
+    const headlineElement = element.closest(HEADING_SELECTOR) || (link && link.querySelector(HEADING_SELECTOR)) || link;
+    if (!headlineElement) {
+        return null;
+    }
+    const text = headlineElement.textContent.replace(/\s+/g, ' ').trim();
+    if (!text || text.length > MAX_HEADLINE_LENGTH) {
+        return null;
+    }
+    const headlineLink = link || headlineElement.querySelector('a[href]');
+    return { element: headlineElement, text, url: headlineLink ? headlineLink.href : getCanonicalUrl() };
+}
+
+/**
+ * Works out what the user asked to transform: the selected text, or a headline.
+ * @param {object} request The background script's transformSnippet message: { target, selectionText, linkUrl }.
+ * 'selection' and 'headline' come from the context menu entries; 'shortcut' takes the selection
+ * if there is one, and else the headline that has the focus or is under the pointer.
+ * @returns {object|null} { kind, text, title, url, rect }: 'selection' or 'headline', the text to
+ * transform, a title for it (the page's, for a selection), the URL it's from, and where it is in
+ * the viewport (null if unknown), or null if there's nothing to transform.
+ */
+function getSnippet(request) {
+    const selection = window.getSelection();
+    const selectedText = selection.toString().trim();
+    if (request.target !== 'headline' && (selectedText || request.selectionText)) {
+        const range = selectedText && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        return {
+            kind: 'selection',
+            text: selectedText || request.selectionText,
+            title: document.title,
+            url: getCanonicalUrl(),
+            rect: range ? range.getBoundingClientRect() : null
+        };
+    }
+
+    let headline;
+    if (request.target === 'headline') {
+        // The script may have been injected after the right-click, so fall back to the link's URL
+        const link = [...document.querySelectorAll('a[href]')].find(element => element.href === request.linkUrl && isVisibleElement(element));
+        headline = findHeadline(lastContextMenuTarget) || findHeadline(link);
+    } else {
+        headline = findHeadline(document.activeElement) || findHeadline(lastPointerTarget);
+    }
+    if (!headline) {
+        return null;
     }
+    return { kind: 'headline', text: headline.text, title: headline.text, url: headline.url, rect: headline.element.getBoundingClientRect() };
 }
 
-// Automatically try to transform the article when the page loads
-transformArticle();
\ No newline at end of file
+/**
+ * Shows a popover for a selection's or headline's transformation, just below it, or at the top of
+ * the viewport if it's not known where it is. It scrolls with the page, and stays within its width.
+ * @param {DOMRect|null} rect Where the selection or headline is, in the viewport.
+ * @returns {object} { host, popover, heading, status, content, closeButton }: the popover's parts to fill in.
+ */
+function showSnippetPopover(rect) {
+    const { host, root } = createShadowUi('bollywood-snippet-popover');
+    const pageWidth = document.documentElement.clientWidth;
+    const left = rect ? rect.left : (pageWidth - SNIPPET_POPOVER_WIDTH) / 2;
+    host.style.position = 'absolute';
+    host.style.zIndex = '2147483647';
+    host.style.left = `${window.scrollX + Math.max(SNIPPET_POPOVER_MARGIN, Math.min(left, pageWidth - SNIPPET_POPOVER_WIDTH - SNIPPET_POPOVER_MARGIN))}px`;
+    host.style.top = `${window.scrollY + (rect ? rect.bottom + SNIPPET_POPOVER_MARGIN : 80)}px`;
+
+    const popover = document.createElement('div');
+    popover.className = 'snippet-popover lyrics';
+    popover.setAttribute('role', 'dialog');
+    popover.setAttribute('aria-label', 'Bollywood version');
+
+    const header = document.createElement('div');
+    header.className = 'snippet-header';
+    const heading = document.createElement('h2');
+    heading.textContent = '🎬 Lights, camera...';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'close';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Close');
+    header.append(heading, closeButton);
+
+    const status = document.createElement('p');
+    status.className = 'status';
+    status.setAttribute('role', 'status');
+    status.textContent = "Transforming... Please wait for the magic!";
+    const content = document.createElement('div');
+    content.className = 'lyrics-text';
+
+    popover.append(header, status, content);
+    root.appendChild(popover);
+    document.body.appendChild(host);
+    loadLyricsFont();
+    return { host, popover, heading, status, content, closeButton };
+}
+
+/**
+ * Transforms the selected text or a headline, e.g. one of many on a homepage listing, and shows
+ * the result in a popover next to it. The rest of the page is left as it is.
+ * @param {object} request The background script's transformSnippet message (see getSnippet).
+ * @returns {Promise<object>} { success: true } once the popover shows the Bollywood version,
+ * or { success: false, error } if it couldn't be transformed.
+ */
+async function transformSnippet(request) {
+    const snippet = getSnippet(request);
+    if (!snippet) {
+        showMessageBox("Select some text, or point at a headline, to transform it.", 'error');
+        return { success: false, error: "There is no selection or headline to transform." };
+    }
+
+    const { host, popover, heading, status, content, closeButton } = showSnippetPopover(snippet.rect);
+    // Holds the transformation in flight, as an article does (see requestTransformation)
+    const snippetState = { transformation: null };
+    closeButton.addEventListener('click', () => {
+        cancelTransformation(snippetState);
+        host.remove();
+    });
+
+    const response = await requestTransformation(snippetState, {
+        articleUrl: snippet.url,
+        articleTitle: snippet.title,
+        articleBody: snippet.text,
+        regenerate: false,
+        snippet: snippet.kind
+    }, update => {
+        if (update.type === 'status') {
+            status.textContent = update.message;
+        } else if (update.type === 'title') {
+            heading.textContent = `🎬 ${update.movieTitle}`;
+            status.textContent = "Writing the song...";
+        } else if (update.type === 'lyrics') {
+            content.textContent += update.text;
+        }
+    });
+
+    if (response && response.success) {
+        heading.textContent = `🎬 ${response.movieTitle}`;
+        status.remove();
+        content.className = '';
+        content.replaceChildren();
+        appendLyricsContent(content, response);
+        popover.appendChild(createPosterAction(response));
+        return { success: true };
+    }
+    if (response && response.code === 'cancelled') {
+        return { success: false, error: response.error, code: response.code };
+    }
+    const error = (response && response.error) || 'Unknown error';
+    console.error("Transformation failed:", response);
+    heading.textContent = '🎬 Cut!';
+    content.replaceChildren();
+    status.textContent = `Transformation failed: ${error}`;
+    status.classList.add('error');
+    if (response && SETTINGS_ERROR_CODES.includes(response.code)) {
+        const settingsButton = document.createElement('button');
+        settingsButton.type = 'button';
+        settingsButton.textContent = 'Open settings';
+        settingsButton.addEventListener('click', () => chrome.runtime.sendMessage({ action: "openOptionsPage" }));
+        status.appendChild(settingsButton);
+    }
+    return { success: false, error, code: response && response.code };
+}
+
+/**
+ * Looks for new articles on the page and transforms them, unless the user switched
+ * auto-transform off globally or for this site in the popup.
+ */
+async function scanForArticles() {
+    const newArticles = discoverArticles();
+    if (newArticles.length === 0) {
+        return;
+    }
+    const settings = await getSettings();
+    if (!isAutoTransformEnabled(settings, location.hostname)) {
+        console.log("Auto-transform is turned off for this site. Use the extension popup to transform on demand.");
+        return;
+    }
+    // One at a time, in page order, so a feed doesn't fire a burst of requests at the provider
+    for (const article of newArticles) {
+        if (articles.includes(article)) {
+            await transformArticle(article);
+        }
+    }
+}
+
+/**
+ * Tells whether a change to the page can't have brought a new article: it was the extension's
+ * own doing (the lyrics card, the message box, ...), or it happened inside the headline or body
+ * of an article already found, e.g. when the article is transformed or restored.
+ * @param {MutationRecord} mutation The change.
+ * @returns {boolean}
+ */
+function isIgnoredMutation(mutation) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+    if (target && target.closest(OWN_ELEMENTS_SELECTOR)) {
+        return true;
+    }
+    // Articles found without a headline element have a null titleElement (see findTitleElement)
+    const isInsideArticle = article =>
+        (article.titleElement && article.titleElement.contains(target)) || article.bodyElement.contains(target);
+    if (target && articles.some(isInsideArticle)) {
+        return true;
+    }
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node => node.nodeType === Node.ELEMENT_NODE && node.matches(OWN_ELEMENTS_SELECTOR));
+}
+
+/**
+ * Transforms the articles on the page as they appear: on page load, once articles that load late
+ * have settled, after single-page-app navigation, and as an infinite-scroll feed loads more.
+ * Pages the script was injected into on demand (sites that are neither in NEWS_DOMAINS nor
+ * "always run" sites) are only transformed when the popup or the context menu asks for it.
+ */
+async function watchForArticles() {
+    const settings = await getSettings();
+    if (!isAutoRunSite(settings, location.hostname)) {
+        return;
+    }
+
+    let settleTimer = null;
+    let firstChangeTime = null;
+    let lastUrl = location.href;
+    let isScanning = false;
+    let isRescanDue = false;
+
+    // Wait for the page to stop changing, but not forever on pages that never do
+    const scheduleScan = () => {
+        clearTimeout(settleTimer);
+        firstChangeTime = firstChangeTime || Date.now();
+        const delay = Math.min(SETTLE_DELAY_MS, Math.max(0, firstChangeTime + MAX_SETTLE_WAIT_MS - Date.now()));
+        settleTimer = setTimeout(() => {
+            firstChangeTime = null;
+            scan();
+        }, delay);
+    };
+
+    // A scan lasts as long as its transformations, so changes meanwhile get one more scan once
+    // it's done rather than a second scan transforming the same articles alongside it
+    const scan = async () => {
+        if (isScanning) {
+            isRescanDue = true;
+            return;
+        }
+        isScanning = true;
+        try {
+            await scanForArticles();
+        } finally {
+            isScanning = false;
+        }
+        if (isRescanDue) {
+            isRescanDue = false;
+            scheduleScan();
+        }
+    };
+
+    // After client-side navigation, an untransformed article may be showing new content in the
+    // same elements, so forget it and find it again
+    const checkUrl = () => {
+        if (location.href === lastUrl) {
+            return;
+        }
+        lastUrl = location.href;
+        console.log("The page navigated to another article.");
+        articles = articles.filter(article => article.isTransformed || article.isTransforming);
+        scheduleScan();
+    };
+
+    new MutationObserver(mutations => {
+        checkUrl();
+        if (!mutations.every(isIgnoredMutation)) {
+            scheduleScan();
+        }
+    }).observe(document.body, { childList: true, subtree: true });
+    window.addEventListener('popstate', checkUrl);
+
+    scheduleScan();
+}
+
+// Listen for messages from the background script or popup (e.g., switching between article views)
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "getPageStatus") {
+        const currentArticle = getCurrentArticle();
+        sendResponse({
+            success: true,
+            isTransformed: Boolean(currentArticle && currentArticle.isTransformed),
+            isTransforming: articles.some(article => article.isTransforming),
+            view: currentArticle && currentArticle.views ? currentArticle.views.showing : null
+        });
+    } else if (request.action === "transformPage") {
+        transformCurrentArticle({ regenerate: Boolean(request.regenerate) }).then(sendResponse);
+        // Return true to indicate that sendResponse will be called asynchronously
+        return true;
+    } else if (request.action === "transformSnippet") {
+        transformSnippet(request).then(sendResponse);
+        return true;
+    } else if (request.action === "toggleArticleView") {
+        const view = toggleArticleView(request.view);
+        sendResponse(view ? { success: true, view } : { success: false, error: "The article has not been transformed yet." });
+    }
+});
+
+// Remember what the user right-clicks and points at, to find the headline they mean
+document.addEventListener('contextmenu', event => {
+    lastContextMenuTarget = event.target;
+}, true);
+document.addEventListener('mouseover', event => {
+    lastPointerTarget = event.target;
+}, { passive: true });
+
+// Automatically transform the articles as they appear on the page
+watchForArticles();
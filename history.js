@@ -0,0 +1,137 @@
+// history.js - Keeps a history of past transformations, loaded by the background script and the library page.
+//
+// Unlike the cache (see cache.js), which only exists to save API calls and expires, the history is
+// a record for the user: every freshly generated transformation is added, and entries stay until
+// the user deletes them. Entries live in chrome.storage.local under a single key, newest first.
+// Changes are only made in the background script, queued one after another; the library page
+// reads the history itself but asks the background script to change it.
+
+const HISTORY_STORAGE_KEY = 'transformHistory';
+
+// chrome.storage.local is limited to 10 MB, shared with the cache, so the oldest entries that
+// aren't favourites are dropped beyond this many
+const HISTORY_MAX_ENTRIES = 500;
+
+// Selections are kept for reference only, so long ones are cut to this many characters
+const HISTORY_MAX_SELECTION_LENGTH = 1000;
+
+// Runs the history changes one at a time (see createUpdateQueue in settings.js), so a transform
+// finishing while an entry is deleted doesn't bring the entry back
+const queueHistoryUpdate = createUpdateQueue();
+
+/**
+ * Reads all history entries.
+ * @returns {Promise<Array<object>>} The entries, newest first.
+ */
+async function readHistory() {
+    const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+    return stored[HISTORY_STORAGE_KEY];
+}
+
+/**
+ * Stores the history entries, keeping them in order and within HISTORY_MAX_ENTRIES.
+ * Favourites are always kept.
+ * @param {Array<object>} entries The entries.
+ * @returns {Promise<void>}
+ */
+async function writeHistory(entries) {
+    const sorted = [...entries].sort((a, b) => b.createdAt - a.createdAt);
+    let remaining = HISTORY_MAX_ENTRIES - sorted.filter(entry => entry.favourite).length;
+    const kept = sorted.filter(entry => entry.favourite || remaining-- > 0);
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: kept });
+}
+
+/**
+ * Checks a history entry, e.g. one read from an imported file, and keeps only its known fields.
+ * @param {*} data The entry.
+ * @returns {object|null} The entry, or null if it lacks a movie title, lyrics or a valid timestamp.
+ */
+function normalizeHistoryEntry(data) {
+    if (!data || typeof data !== 'object' || !isNonEmptyString(data.movieTitle) || !isNonEmptyString(data.songLyrics)) {
+        return null;
+    }
+    const createdAt = typeof data.createdAt === 'string' ? Date.parse(data.createdAt) : data.createdAt;
+    if (!Number.isFinite(createdAt)) {
+        return null;
+    }
+    const text = value => (typeof value === 'string' ? value : '');
+    return {
+        id: isNonEmptyString(data.id) ? data.id : crypto.randomUUID(),
+        url: text(data.url),
+        articleTitle: text(data.articleTitle),
+        selection: text(data.selection).slice(0, HISTORY_MAX_SELECTION_LENGTH),
+        movieTitle: data.movieTitle,
+        tagline: text(data.tagline),
+        songLyrics: data.songLyrics,
+        style: text(data.style),
+        language: text(data.language),
+        createdAt,
+        favourite: data.favourite === true
+    };
+}
+
+/**
+ * Adds a transformation to the history.
+ * @param {object} transformation { url, articleTitle, selection, movieTitle, tagline, songLyrics, style, language },
+ * with the style and language as their labels, which stay readable after a custom template is deleted.
+ * articleTitle is always the title of the article (or page) it came from; a transformation of
+ * selected text also has the selection, and an empty one otherwise.
+ * @returns {Promise<void>}
+ */
+async function addHistoryEntry(transformation) {
+    const entry = normalizeHistoryEntry({ ...transformation, id: crypto.randomUUID(), createdAt: Date.now() });
+    await queueHistoryUpdate(async () => writeHistory([entry, ...await readHistory()]));
+}
+
+/**
+ * Updates some fields of a history entry, e.g. to mark it as a favourite.
+ * @param {string} id The id of the entry.
+ * @param {object} changes The fields to change.
+ * @returns {Promise<void>}
+ */
+async function updateHistoryEntry(id, changes) {
+    await queueHistoryUpdate(async () => {
+        const entries = await readHistory();
+        await writeHistory(entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+    });
+}
+
+/**
+ * Deletes a history entry.
+ * @param {string} id The id of the entry.
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryEntry(id) {
+    await queueHistoryUpdate(async () => {
+        const entries = await readHistory();
+        await writeHistory(entries.filter(entry => entry.id !== id));
+    });
+}
+
+/**
+ * Adds entries exported from a history (see exportHistoryAsJson in library.js) to this one.
+ * Entries already in the history, by id, are skipped, so importing the same file twice is harmless.
+ * @param {*} data The parsed contents of the exported file.
+ * @returns {Promise<object>} { added, skipped }: how many entries were added, and how many were
+ * skipped as duplicates or invalid.
+ * @throws {Error} If the data isn't an exported history.
+ */
+async function importHistoryEntries(data) {
+    const imported = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(imported)) {
+        throw new Error("The file is not an exported history.");
+    }
+    return queueHistoryUpdate(async () => {
+        const entries = await readHistory();
+        const ids = new Set(entries.map(entry => entry.id));
+        const added = [];
+        for (const entry of imported.map(normalizeHistoryEntry)) {
+            if (entry && !ids.has(entry.id)) {
+                ids.add(entry.id);
+                added.push(entry);
+            }
+        }
+        await writeHistory([...entries, ...added]);
+        return { added: added.length, skipped: imported.length - added.length };
+    });
+}
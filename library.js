@@ -0,0 +1,303 @@
+// library.js - Drives the history library page: browsing, searching, favouriting and deleting past
+// transformations, and exporting or importing them (see history.js).
+
+// Identifies the extension's JSON exports, so an import can tell them from other files
+const EXPORT_FORMAT = 'bollywood-news-transformer-history';
+
+/**
+ * Shows a status line on the page.
+ * @param {string} message The text to show (empty to clear it).
+ * @param {string} [type] 'success' or 'error' for styling.
+ */
+function setStatus(message, type) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('success', type === 'success');
+    status.classList.toggle('error', type === 'error');
+}
+
+/**
+ * Asks the background script to change the history, so the change queues behind those of
+ * transforms finishing meanwhile (see history.js).
+ * @param {object} message The request: its action and arguments.
+ * @returns {Promise<object>} The background script's response.
+ * @throws {Error} If the history could not be changed.
+ */
+async function changeHistory(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || "Could not change the history.");
+    }
+    return response;
+}
+
+/**
+ * Tells whether a history entry matches the search: every word of the query must appear
+ * in its titles, selection, tagline, lyrics, style, language or URL.
+ * @param {object} entry The history entry.
+ * @param {string} query The search query.
+ * @returns {boolean}
+ */
+function matchesSearch(entry, query) {
+    const text = [entry.movieTitle, entry.articleTitle, entry.selection, entry.tagline, entry.songLyrics, entry.style, entry.language, entry.url]
+        .join('\n')
+        .toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+/**
+ * Returns the history entries the search and the favourites filter let through.
+ * @param {Array<object>} entries All history entries.
+ * @returns {Array<object>}
+ */
+function filterEntries(entries) {
+    const query = document.getElementById('search').value;
+    const favouritesOnly = document.getElementById('favouritesOnly').checked;
+    return entries.filter(entry => (!favouritesOnly || entry.favourite) && matchesSearch(entry, query));
+}
+
+/**
+ * Formats a timestamp for display.
+ * @param {number} timestamp Milliseconds since the epoch.
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Creates a button.
+ * @param {string} label The button's text.
+ * @param {string} className The button's class, for styling.
+ * @param {function(): void} onClick Called when the button is clicked.
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Creates the card showing a history entry. Everything in it is set as text, since it comes
+ * from the model or from an imported file.
+ * @param {object} entry The history entry.
+ * @returns {HTMLElement}
+ */
+function createEntryCard(entry) {
+    const card = document.createElement('article');
+    card.className = 'entry';
+
+    const title = document.createElement('h2');
+    title.textContent = `🎬 ${entry.movieTitle}`;
+    card.appendChild(title);
+
+    if (entry.tagline) {
+        const tagline = document.createElement('p');
+        tagline.className = 'tagline';
+        tagline.textContent = `“${entry.tagline}”`;
+        card.appendChild(tagline);
+    }
+
+    const meta = document.createElement('p');
+    meta.className = 'meta';
+    meta.append(entry.selection ? 'From a selection on ' : 'From ');
+    // Only link to web pages: imported entries could carry javascript: or other URLs
+    const isWebUrl = /^https?:\/\//i.test(entry.url);
+    const source = document.createElement(isWebUrl ? 'a' : 'span');
+    source.textContent = entry.articleTitle || entry.url || 'an unknown article';
+    if (isWebUrl) {
+        source.href = entry.url;
+        source.target = '_blank';
+        source.rel = 'noopener noreferrer';
+    }
+    meta.appendChild(source);
+    meta.append(` · ${[entry.style, entry.language, formatDate(entry.createdAt)].filter(Boolean).join(' · ')}`);
+    card.appendChild(meta);
+
+    if (entry.selection) {
+        const selection = document.createElement('blockquote');
+        selection.className = 'selection';
+        selection.textContent = entry.selection;
+        card.appendChild(selection);
+    }
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Lyrics';
+    const lyrics = document.createElement('div');
+    lyrics.className = 'lyrics';
+    lyrics.textContent = entry.songLyrics;
+    details.append(summary, lyrics);
+    card.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const favouriteButton = createButton(entry.favourite ? '★ Favourite' : '☆ Favourite', 'favourite secondary', () =>
+        changeHistory({ action: "updateHistoryEntry", id: entry.id, changes: { favourite: !entry.favourite } })
+            .catch(error => setStatus(`Could not update the favourite: ${error.message}`, 'error'))
+    );
+    favouriteButton.setAttribute('aria-pressed', String(entry.favourite));
+    actions.appendChild(favouriteButton);
+    actions.appendChild(createButton('Delete', 'danger', () => {
+        if (confirm(`Delete "${entry.movieTitle}" from the history?`)) {
+            changeHistory({ action: "deleteHistoryEntry", id: entry.id })
+                .catch(error => setStatus(`Could not delete the entry: ${error.message}`, 'error'));
+        }
+    }));
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Lists the history entries that match the search and the favourites filter.
+ * @param {Array<object>} entries All history entries.
+ */
+function renderEntries(entries) {
+    const shown = filterEntries(entries);
+    document.getElementById('entries').replaceChildren(...shown.map(createEntryCard));
+
+    let summary;
+    if (entries.length === 0) {
+        summary = "No transformations yet. Transformed articles show up here.";
+    } else if (shown.length === entries.length) {
+        summary = entries.length === 1 ? "1 transformation." : `${entries.length} transformations.`;
+    } else {
+        summary = `${shown.length} of ${entries.length} transformations match.`;
+    }
+    document.getElementById('summary').textContent = summary;
+}
+
+/**
+ * Serialises history entries for export, with readable dates. importHistoryEntries() reads it back.
+ * @param {Array<object>} entries The entries to export.
+ * @returns {string}
+ */
+function exportHistoryAsJson(entries) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: entries.map(entry => ({ ...entry, createdAt: new Date(entry.createdAt).toISOString() }))
+    }, null, 2);
+}
+
+/**
+ * Escapes the characters Markdown would read as formatting, links or HTML.
+ * @param {string} text The text.
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>]/g, '\\$&');
+}
+
+/**
+ * Formats history entries as a Markdown document, for sharing.
+ * @param {Array<object>} entries The entries to export.
+ * @returns {string}
+ */
+function exportHistoryAsMarkdown(entries) {
+    const sections = entries.map(entry => {
+        const lines = [`## 🎬 ${escapeMarkdown(entry.movieTitle)}`, ''];
+        if (entry.tagline) {
+            lines.push(`*${escapeMarkdown(entry.tagline)}*`, '');
+        }
+        let from = '';
+        const source = entry.articleTitle || entry.url;
+        const fromText = entry.selection ? 'From a selection on' : 'From';
+        if (source) {
+            // As on the page, only link to web pages
+            from = /^https?:\/\//i.test(entry.url) ?
+                `${fromText} [${escapeMarkdown(source)}](<${entry.url.replace(/[<>\s]/g, encodeURIComponent)}>)` :
+                `${fromText} ${escapeMarkdown(source)}`;
+        }
+        lines.push([from, entry.style, entry.language, formatDate(entry.createdAt)].filter(Boolean).join(' · '), '');
+        if (entry.selection) {
+            lines.push(...entry.selection.split('\n').map(line => `> ${escapeMarkdown(line)}`), '');
+        }
+        // Two trailing spaces keep each lyric on its own line
+        lines.push(...entry.songLyrics.split('\n').map(line => (line.trim() ? `${escapeMarkdown(line)}  ` : '')));
+        return lines.join('\n');
+    });
+    return `# Bollywood News Transformer history\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * Offers a file for download.
+ * @param {string} filename The suggested file name.
+ * @param {string} content The file's content.
+ * @param {string} type The file's MIME type.
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wires up the library page once its DOM is ready.
+ */
+async function initLibrary() {
+    let entries = await readHistory();
+    renderEntries(entries);
+
+    // Stay in sync with transforms in other tabs and with favouriting and deleting here
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+            entries = changes[HISTORY_STORAGE_KEY].newValue || [];
+            renderEntries(entries);
+        }
+    });
+
+    document.getElementById('search').addEventListener('input', () => renderEntries(entries));
+    document.getElementById('favouritesOnly').addEventListener('change', () => renderEntries(entries));
+
+    const exportEntries = format => {
+        const shown = filterEntries(entries);
+        if (shown.length === 0) {
+            setStatus("There is nothing to export.", 'error');
+            return;
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'json') {
+            downloadFile(`bollywood-history-${date}.json`, exportHistoryAsJson(shown), 'application/json');
+        } else {
+            downloadFile(`bollywood-history-${date}.md`, exportHistoryAsMarkdown(shown), 'text/markdown');
+        }
+        setStatus(shown.length === 1 ? "Exported 1 transformation." : `Exported ${shown.length} transformations.`, 'success');
+    };
+    document.getElementById('exportJson').addEventListener('click', () => exportEntries('json'));
+    document.getElementById('exportMarkdown').addEventListener('click', () => exportEntries('markdown'));
+
+    const importFile = document.getElementById('importFile');
+    document.getElementById('importButton').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+        const [file] = importFile.files;
+        importFile.value = ''; // So choosing the same file again still fires a change
+        if (!file) {
+            return;
+        }
+        try {
+            const data = JSON.parse(await file.text());
+            if (data && !Array.isArray(data) && data.format !== EXPORT_FORMAT) {
+                throw new Error("The file is not an exported history.");
+            }
+            const { added, skipped } = await changeHistory({ action: "importHistory", data });
+            setStatus(skipped > 0 ?
+                `Imported ${added} transformation(s); skipped ${skipped} already in the history or invalid.` :
+                `Imported ${added} transformation(s).`, 'success');
+        } catch (error) {
+            console.error("Could not import the history:", error);
+            setStatus(`Could not import the file: ${error instanceof SyntaxError ? "it is not valid JSON." : error.message}`, 'error');
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initLibrary);
@@ -0,0 +1,316 @@
+// options.js - Drives the options page: provider, API key, endpoint, model, style and language,
+// custom templates, generation parameters and cache.
+
+// Starting point for a new custom template
+const NEW_TEMPLATE_PROMPT = `Retell the following news article as a Bollywood movie scene. {language}
+
+Article Title: "{title}"
+Article Content: "{body}"`;
+
+/**
+ * Shows a status line on the page.
+ * @param {string} elementId The id of the status element.
+ * @param {string} message The text to show (empty to clear it).
+ * @param {string} [type] 'success' or 'error' for styling.
+ */
+function setStatus(elementId, message, type) {
+    const status = document.getElementById(elementId);
+    status.textContent = message;
+    status.classList.toggle('success', type === 'success');
+    status.classList.toggle('error', type === 'error');
+}
+
+/**
+ * Explains whether the selected provider needs an API key.
+ * @param {string} providerId The selected provider id.
+ */
+function renderApiKeyHint(providerId) {
+    const hint = getProvider(providerId).requiresApiKey ?
+        "Required. It is stored only on this device." :
+        "Optional: local servers usually don't need one. It is stored only on this device.";
+    document.getElementById('apiKeyHint').textContent = hint;
+}
+
+/**
+ * Creates an option for a select.
+ * @param {string} value The option's value.
+ * @param {string} label The option's text.
+ * @returns {HTMLOptionElement}
+ */
+function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+}
+
+/**
+ * Lists the built-in styles and the custom templates being edited in the style select.
+ * @param {string} selectedStyle The style to select; the default style if it no longer exists.
+ */
+function renderStyleOptions(selectedStyle) {
+    const builtInStyles = document.createElement('optgroup');
+    builtInStyles.label = 'Built-in styles';
+    builtInStyles.append(...Object.entries(TRANSFORMATION_STYLES).map(([id, style]) => createOption(id, style.label)));
+    const groups = [builtInStyles];
+
+    const templates = readCustomTemplates();
+    if (templates.length > 0) {
+        const customStyles = document.createElement('optgroup');
+        customStyles.label = 'Custom templates';
+        customStyles.append(...templates.map(template => createOption(template.id, template.name || 'Untitled template')));
+        groups.push(customStyles);
+    }
+
+    const styleSelect = document.getElementById('style');
+    styleSelect.replaceChildren(...groups);
+    styleSelect.value = selectedStyle;
+    if (!styleSelect.value) {
+        styleSelect.value = DEFAULT_STYLE_ID;
+    }
+}
+
+/**
+ * Creates the editor of a custom template: its name, its prompt and a button to remove it.
+ * @param {object} template The template, as { id, name, prompt }.
+ * @returns {HTMLDivElement}
+ */
+function createTemplateEditor(template) {
+    const editor = document.createElement('div');
+    editor.className = 'template';
+    editor.dataset.templateId = template.id;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'template-name';
+    nameInput.required = true;
+    nameInput.maxLength = 40;
+    nameInput.value = template.name;
+    // Keep the style select in sync as the template is renamed
+    nameInput.addEventListener('input', () => renderStyleOptions(document.getElementById('style').value));
+    const nameLabel = document.createElement('label');
+    nameLabel.append("Template name", nameInput);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+        editor.remove();
+        renderStyleOptions(document.getElementById('style').value);
+    });
+    const nameRow = document.createElement('div');
+    nameRow.className = 'row';
+    nameRow.append(nameLabel, removeButton);
+
+    const promptInput = document.createElement('textarea');
+    promptInput.className = 'template-prompt';
+    promptInput.rows = 6;
+    promptInput.required = true;
+    // Settings live in chrome.storage.sync, which caps the size of each item
+    promptInput.maxLength = 2000;
+    promptInput.spellcheck = false;
+    promptInput.value = template.prompt;
+    const promptLabel = document.createElement('label');
+    promptLabel.append("Prompt", promptInput);
+
+    editor.append(nameRow, promptLabel);
+    return editor;
+}
+
+/**
+ * Reads the custom templates back out of their editors.
+ * @returns {Array<object>} The templates, as { id, name, prompt }.
+ */
+function readCustomTemplates() {
+    return Array.from(document.querySelectorAll('#customTemplates .template'), editor => ({
+        id: editor.dataset.templateId,
+        name: editor.querySelector('.template-name').value.trim(),
+        prompt: editor.querySelector('.template-prompt').value
+    }));
+}
+
+/**
+ * Fills in the form from the given settings and API key.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The stored API key.
+ */
+function renderOptions(settings, apiKey) {
+    document.getElementById('provider').value = settings.provider;
+    renderApiKeyHint(settings.provider);
+    document.getElementById('apiKey').value = apiKey;
+    document.getElementById('apiBaseUrl').value = settings.apiBaseUrl;
+    document.getElementById('model').value = settings.model;
+    document.getElementById('requestTimeoutSeconds').value = settings.requestTimeoutSeconds;
+    document.getElementById('maxRetries').value = settings.maxRetries;
+    document.getElementById('customTemplates').replaceChildren(...settings.customTemplates.map(createTemplateEditor));
+    renderStyleOptions(settings.style);
+    document.getElementById('language').value = settings.language;
+    for (const [type, params] of Object.entries(settings.generation)) {
+        document.getElementById(`${type}Temperature`).value = params.temperature;
+        document.getElementById(`${type}MaxOutputTokens`).value = params.maxOutputTokens;
+    }
+    document.getElementById('structuredOutput').checked = settings.structuredOutput;
+    document.getElementById('streamLyrics').checked = settings.streamLyrics;
+    document.getElementById('contextBudgetTokens').value = settings.contextBudgetTokens;
+    document.getElementById('summarizeLongArticles').checked = settings.summarizeLongArticles;
+    document.getElementById('cacheEnabled').checked = settings.cacheEnabled;
+    document.getElementById('cacheTtlHours').value = settings.cacheTtlHours;
+    document.getElementById('cacheMaxEntries').value = settings.cacheMaxEntries;
+}
+
+/**
+ * Reads the settings back out of the form.
+ * @returns {object} The settings to store (without the API key).
+ */
+function readOptions() {
+    const generation = {};
+    for (const type of Object.keys(DEFAULT_SETTINGS.generation)) {
+        generation[type] = {
+            temperature: Number(document.getElementById(`${type}Temperature`).value),
+            maxOutputTokens: Number(document.getElementById(`${type}MaxOutputTokens`).value)
+        };
+    }
+    return {
+        provider: document.getElementById('provider').value,
+        apiBaseUrl: document.getElementById('apiBaseUrl').value.trim().replace(/\/+$/, ''),
+        model: document.getElementById('model').value.trim(),
+        requestTimeoutSeconds: Number(document.getElementById('requestTimeoutSeconds').value),
+        maxRetries: Number(document.getElementById('maxRetries').value),
+        style: document.getElementById('style').value,
+        language: document.getElementById('language').value,
+        customTemplates: readCustomTemplates(),
+        structuredOutput: document.getElementById('structuredOutput').checked,
+        streamLyrics: document.getElementById('streamLyrics').checked,
+        contextBudgetTokens: Number(document.getElementById('contextBudgetTokens').value),
+        summarizeLongArticles: document.getElementById('summarizeLongArticles').checked,
+        generation,
+        cacheEnabled: document.getElementById('cacheEnabled').checked,
+        cacheTtlHours: Number(document.getElementById('cacheTtlHours').value),
+        cacheMaxEntries: Number(document.getElementById('cacheMaxEntries').value)
+    };
+}
+
+/**
+ * Asks the background script to check the API key in the form, and offers the models
+ * it can use as suggestions for the model field.
+ */
+async function validateApiKeyFromForm() {
+    const provider = document.getElementById('provider').value;
+    const apiKey = document.getElementById('apiKey').value.trim();
+    const apiBaseUrl = document.getElementById('apiBaseUrl').value.trim();
+    setStatus('apiKeyStatus', "Checking the key...");
+
+    const response = await chrome.runtime.sendMessage({ action: "validateApiKey", provider, apiKey, apiBaseUrl });
+    if (!response || !response.success) {
+        setStatus('apiKeyStatus', `The check failed: ${(response && response.error) || 'Unknown error'}`, 'error');
+        return;
+    }
+
+    const modelList = document.getElementById('modelList');
+    modelList.replaceChildren(...response.models.map(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        return option;
+    }));
+
+    const model = document.getElementById('model').value.trim();
+    if (response.models.length > 0 && !response.models.includes(model)) {
+        setStatus('apiKeyStatus', `The key works, but model "${model}" isn't available to it.`, 'error');
+    } else {
+        setStatus('apiKeyStatus', `The key works. ${response.models.length} models available.`, 'success');
+    }
+}
+
+/**
+ * Wires up the options page once its DOM is ready.
+ */
+async function initOptions() {
+    const providerSelect = document.getElementById('provider');
+    providerSelect.replaceChildren(...Object.entries(LLM_PROVIDERS).map(([id, provider]) => createOption(id, provider.label)));
+    document.getElementById('language').replaceChildren(
+        ...Object.entries(OUTPUT_LANGUAGES).map(([id, language]) => createOption(id, language.label))
+    );
+    renderOptions(await getSettings(), await getApiKey());
+
+    // Switching provider swaps in its default endpoint and model, unless the user customised them
+    let previousProviderId = providerSelect.value;
+    providerSelect.addEventListener('change', () => {
+        const previous = getProvider(previousProviderId);
+        const next = getProvider(providerSelect.value);
+        const apiBaseUrlInput = document.getElementById('apiBaseUrl');
+        const modelInput = document.getElementById('model');
+        if (!apiBaseUrlInput.value.trim() || apiBaseUrlInput.value.trim() === previous.defaultBaseUrl) {
+            apiBaseUrlInput.value = next.defaultBaseUrl;
+        }
+        if (!modelInput.value.trim() || modelInput.value.trim() === previous.defaultModel) {
+            modelInput.value = next.defaultModel;
+        }
+        document.getElementById('modelList').replaceChildren();
+        setStatus('apiKeyStatus', "");
+        renderApiKeyHint(providerSelect.value);
+        previousProviderId = providerSelect.value;
+    });
+
+    document.getElementById('addCustomTemplate').addEventListener('click', () => {
+        const template = { id: `custom-${Date.now()}`, name: '', prompt: NEW_TEMPLATE_PROMPT };
+        const editor = createTemplateEditor(template);
+        document.getElementById('customTemplates').appendChild(editor);
+        renderStyleOptions(document.getElementById('style').value);
+        editor.querySelector('.template-name').focus();
+    });
+
+    document.getElementById('optionsForm').addEventListener('submit', async event => {
+        event.preventDefault();
+        const options = readOptions();
+        const blindTemplate = options.customTemplates.find(template => !template.prompt.includes('{body}'));
+        if (blindTemplate) {
+            setStatus('saveStatus', `The "${blindTemplate.name}" template doesn't use {body}, so the model wouldn't see the article.`, 'error');
+            return;
+        }
+        for (const template of options.customTemplates) {
+            const unknownPlaceholders = findUnknownPlaceholders(template.prompt);
+            if (unknownPlaceholders.length > 0) {
+                setStatus('saveStatus', `The "${template.name}" template uses ${unknownPlaceholders.join(', ')}, which won't be filled in. ` +
+                    `Use ${CUSTOM_TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}.`, 'error');
+                return;
+            }
+        }
+        try {
+            await saveSettings(options);
+        } catch (error) {
+            // Most likely the chrome.storage.sync quota, with many long custom templates
+            setStatus('saveStatus', `Could not save the settings: ${error.message}`, 'error');
+            return;
+        }
+        await saveApiKey(document.getElementById('apiKey').value);
+        setStatus('saveStatus', "Settings saved.", 'success');
+    });
+
+    document.getElementById('resetDefaults').addEventListener('click', async () => {
+        // Site choices aren't on this page, so resetting leaves them alone. Custom templates
+        // are the user's own work rather than settings with a default, so they are kept too.
+        const { autoTransform, siteAutoTransform, customSites, customTemplates, ...defaults } = DEFAULT_SETTINGS;
+        await saveSettings(defaults);
+        // Resetting keeps the API key, which has no sensible default
+        renderOptions(await getSettings(), document.getElementById('apiKey').value);
+        previousProviderId = providerSelect.value;
+        setStatus('saveStatus', "Settings reset to defaults.", 'success');
+    });
+
+    document.getElementById('toggleApiKey').addEventListener('click', event => {
+        const apiKeyInput = document.getElementById('apiKey');
+        const isHidden = apiKeyInput.type === 'password';
+        apiKeyInput.type = isHidden ? 'text' : 'password';
+        event.target.textContent = isHidden ? 'Hide' : 'Show';
+    });
+
+    document.getElementById('validateApiKey').addEventListener('click', () => {
+        validateApiKeyFromForm().catch(error => {
+            console.error("Could not validate the API key:", error);
+            setStatus('apiKeyStatus', `Could not check the key: ${error.message}`, 'error');
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initOptions);
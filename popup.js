@@ -0,0 +1,221 @@
+// popup.js - Drives the extension popup: on-demand transforms, "always run" sites, the auto-transform
+// settings, the transformation cache and the way to the history library.
+
+/**
+ * Returns the tab the popup was opened on.
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab;
+}
+
+/**
+ * Sends a message to the content script of a tab.
+ * @param {number} tabId The tab to message.
+ * @param {object} message The message to send.
+ * @returns {Promise<object|null>} The content script's response, or null if no content script is listening.
+ */
+async function sendToTab(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        // "Receiving end does not exist": the content script isn't injected in this tab
+        return null;
+    }
+}
+
+/**
+ * Shows a status line under the buttons.
+ * @param {string} message The text to show (empty to clear it).
+ * @param {string} [type] 'error' to style it as an error.
+ */
+function setStatus(message, type) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', type === 'error');
+}
+
+/**
+ * Updates the view toggle button from the page status reported by the content script.
+ * @param {object|null} pageStatus The content script's getPageStatus response.
+ */
+function renderPageStatus(pageStatus) {
+    const toggleViewButton = document.getElementById('toggleViewButton');
+    const transformButton = document.getElementById('transformButton');
+
+    toggleViewButton.hidden = !(pageStatus && pageStatus.isTransformed);
+    document.getElementById('regenerateButton').hidden = toggleViewButton.hidden;
+    if (pageStatus && pageStatus.view) {
+        toggleViewButton.textContent = pageStatus.view === 'transformed' ? 'Show original article' : 'Show Bollywood version';
+    }
+    transformButton.disabled = Boolean(pageStatus && (pageStatus.isTransformed || pageStatus.isTransforming));
+    if (pageStatus && pageStatus.isTransforming) {
+        setStatus("Transforming... Please wait for the magic!");
+    }
+}
+
+/**
+ * Fills in the auto-transform checkboxes for the active tab's site.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string|null} hostname The hostname of the active tab, or null for non-web pages.
+ */
+function renderSettings(settings, hostname) {
+    document.getElementById('autoTransformAll').checked = settings.autoTransform;
+
+    const siteCheckbox = document.getElementById('autoTransformSite');
+    const siteLabel = document.getElementById('autoTransformSiteLabel');
+    const siteText = document.getElementById('autoTransformSiteText');
+
+    // Auto-transform only ever runs on the supported news sites and the "always run" sites
+    const isSupported = Boolean(hostname) && isAutoRunSite(settings, hostname);
+    siteCheckbox.disabled = !isSupported;
+    siteLabel.classList.toggle('disabled', !isSupported);
+    siteCheckbox.checked = isSupported && isAutoTransformEnabled(settings, hostname);
+    siteText.textContent = isSupported ? `On ${getSiteKey(hostname)}` : 'On this site (not enabled for this site)';
+
+    // Built-in news sites always run; any other web page can be added
+    const alwaysRunButton = document.getElementById('alwaysRunButton');
+    alwaysRunButton.hidden = !hostname || isNewsSite(hostname);
+    if (hostname) {
+        alwaysRunButton.textContent = settings.customSites.includes(getSiteKey(hostname)) ?
+            `Stop running on ${getSiteKey(hostname)}` :
+            `Always run on ${getSiteKey(hostname)}`;
+    }
+}
+
+/**
+ * Shows how many transformations are cached and how much storage they take.
+ */
+async function renderCacheStats() {
+    const stats = await chrome.runtime.sendMessage({ action: "getCacheStats" });
+    if (!stats || !stats.success) {
+        document.getElementById('cacheStats').textContent = "Cache size unknown";
+        return;
+    }
+    const kilobytes = Math.ceil(stats.bytes / 1024);
+    document.getElementById('cacheStats').textContent = stats.entries === 1 ?
+        `1 article cached (${kilobytes} KB)` :
+        `${stats.entries} articles cached (${kilobytes} KB)`;
+}
+
+/**
+ * Returns the hostname of a tab, or null for pages that aren't regular web pages.
+ * @param {chrome.tabs.Tab} tab The tab.
+ * @returns {string|null}
+ */
+function getTabHostname(tab) {
+    if (!tab || !tab.url) {
+        return null;
+    }
+    const url = new URL(tab.url);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+}
+
+/**
+ * Wires up the popup once its DOM is ready.
+ */
+async function initPopup() {
+    const tab = await getActiveTab();
+    const hostname = getTabHostname(tab);
+    const settings = await getSettings();
+
+    document.getElementById('siteName').textContent = hostname || 'This page cannot be transformed.';
+    renderSettings(settings, hostname);
+    document.getElementById('transformButton').disabled = !hostname;
+
+    if (hostname) {
+        renderPageStatus(await sendToTab(tab.id, { action: "getPageStatus" }));
+    }
+
+    renderCacheStats();
+
+    /**
+     * Transforms the active tab, through the background script so it can inject the content
+     * script first on sites it doesn't run on by itself.
+     * @param {boolean} regenerate True to skip the cache.
+     */
+    const transformActiveTab = async regenerate => {
+        document.getElementById('transformButton').disabled = true;
+        setStatus("Transforming... Please wait for the magic!");
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "transformTab", tabId: tab.id, regenerate });
+            if (response && response.success) {
+                setStatus(response.cached ?
+                    "Article transformed into a Bollywood masterpiece! (from cache)" :
+                    "Article transformed into a Bollywood masterpiece!");
+            } else {
+                setStatus(`Transformation failed: ${(response && response.error) || 'Unknown error'}`, 'error');
+            }
+        } catch (error) {
+            console.error("Could not transform the active tab:", error);
+            setStatus(`Transformation failed: ${error.message}`, 'error');
+        }
+        renderPageStatus(await sendToTab(tab.id, { action: "getPageStatus" }));
+        renderCacheStats();
+    };
+
+    document.getElementById('transformButton').addEventListener('click', () => transformActiveTab(false));
+    document.getElementById('regenerateButton').addEventListener('click', () => transformActiveTab(true));
+
+    document.getElementById('clearCacheButton').addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ action: "clearCache" });
+        if (response && response.success) {
+            setStatus("Cache cleared.");
+        } else {
+            setStatus(`Could not clear the cache: ${(response && response.error) || 'Unknown error'}`, 'error');
+        }
+        renderCacheStats();
+    });
+
+    document.getElementById('toggleViewButton').addEventListener('click', async () => {
+        const response = await sendToTab(tab.id, { action: "toggleArticleView" });
+        if (!response || !response.success) {
+            setStatus((response && response.error) || "Could not switch the article view.", 'error');
+        }
+        renderPageStatus(await sendToTab(tab.id, { action: "getPageStatus" }));
+    });
+
+    document.getElementById('alwaysRunButton').addEventListener('click', async () => {
+        const siteKey = getSiteKey(hostname);
+        const isEnabled = settings.customSites.includes(siteKey);
+        if (!isEnabled) {
+            // Must be the first call in the click handler: permission requests need the user's gesture
+            const granted = await chrome.permissions.request({ origins: getSiteMatchPatterns(siteKey) });
+            if (!granted) {
+                setStatus(`Permission to run on ${siteKey} was not granted.`, 'error');
+                return;
+            }
+        }
+        const response = await chrome.runtime.sendMessage({ action: isEnabled ? "disableSite" : "enableSite", siteKey });
+        if (!response || !response.success) {
+            setStatus((response && response.error) || "Could not update the site.", 'error');
+            return;
+        }
+        Object.assign(settings, await getSettings());
+        renderSettings(settings, hostname);
+        setStatus(isEnabled ? `No longer running on ${siteKey}.` : `Articles on ${siteKey} will now transform on load.`);
+    });
+
+    document.getElementById('openLibraryButton').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
+
+    document.getElementById('openOptionsButton').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    document.getElementById('autoTransformAll').addEventListener('change', async event => {
+        settings.autoTransform = event.target.checked;
+        await saveSettings({ autoTransform: settings.autoTransform });
+        renderSettings(settings, hostname);
+    });
+
+    document.getElementById('autoTransformSite').addEventListener('change', async event => {
+        settings.siteAutoTransform = { ...settings.siteAutoTransform, [getSiteKey(hostname)]: event.target.checked };
+        await saveSettings({ siteAutoTransform: settings.siteAutoTransform });
+        renderSettings(settings, hostname);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initPopup);
@@ -0,0 +1,378 @@
+// poster.js - Draws shareable movie posters of transformations, loaded by the content script.
+//
+// Posters are drawn on a canvas from the transformation alone, with system fonts and no images,
+// so nothing leaves the browser and the canvas can always be exported. Each layout is a function
+// that draws the poster's text in its own arrangement over a themed background.
+
+// Portrait 4:5, the shape social feeds show without cropping
+const POSTER_WIDTH = 1080;
+const POSTER_HEIGHT = 1350;
+
+// System fonts, so posters look the same whether or not the page loaded any web fonts
+const POSTER_TITLE_FONT = "Impact, 'Arial Narrow Bold', 'Arial Black', sans-serif";
+const POSTER_TEXT_FONT = "Georgia, 'Times New Roman', serif";
+const POSTER_CREDITS_FONT = "'Arial Narrow', Arial, sans-serif";
+
+// The most lyrics lines a poster quotes
+const POSTER_LYRICS_LINES = 4;
+
+// Colour themes: the background gradient, the title's fill and outline, and the colour of the rest
+const POSTER_THEMES = {
+    masala: {
+        label: 'Masala',
+        background: ['#ff512f', '#dd2476'],
+        title: '#ffd700',
+        titleOutline: '#5c0a0a',
+        text: '#ffffff',
+        accent: '#ffe082'
+    },
+    monsoon: {
+        label: 'Monsoon',
+        background: ['#0f2027', '#2c5364'],
+        title: '#f5f5f5',
+        titleOutline: '#01161e',
+        text: '#e0f7fa',
+        accent: '#4fc3f7'
+    },
+    retro: {
+        label: "Retro '70s",
+        background: ['#f4a300', '#8c3b0c'],
+        title: '#fff3c4',
+        titleOutline: '#3e1a05',
+        text: '#2b1b0e',
+        accent: '#fff3c4'
+    },
+    noir: {
+        label: 'Noir',
+        background: ['#000000', '#2b2b2b'],
+        title: '#e50914',
+        titleOutline: '#000000',
+        text: '#e0e0e0',
+        accent: '#bdbdbd'
+    }
+};
+
+const DEFAULT_POSTER_THEME = 'masala';
+
+/**
+ * Splits text into lines that fit a width, breaking between words (and within words too long for a line).
+ * @param {CanvasRenderingContext2D} context The context, with the font already set.
+ * @param {string} text The text.
+ * @param {number} maxWidth The width of a line.
+ * @returns {Array<string>}
+ */
+function wrapPosterText(context, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const longerLine = line ? `${line} ${word}` : word;
+        if (context.measureText(longerLine).width <= maxWidth) {
+            line = longerLine;
+            continue;
+        }
+        if (line) {
+            lines.push(line);
+        }
+        line = word;
+        while (context.measureText(line).width > maxWidth && line.length > 1) {
+            let cut = line.length - 1;
+            while (cut > 1 && context.measureText(line.slice(0, cut)).width > maxWidth) {
+                cut--;
+            }
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Finds the largest font size at which text fits in a number of lines, and wraps it at that size.
+ * Text that doesn't fit even at the smallest size is cut short with an ellipsis.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {string} text The text.
+ * @param {object} options
+ * @param {function(number): string} options.font Returns the CSS font for a size in pixels.
+ * @param {number} options.maxSize The largest size to try.
+ * @param {number} options.minSize The smallest size to try.
+ * @param {number} options.maxWidth The width of a line.
+ * @param {number} options.maxLines The most lines the text may take.
+ * @returns {object} { lines, size }, with the context's font left at that size.
+ */
+function fitPosterText(context, text, { font, maxSize, minSize, maxWidth, maxLines }) {
+    let size = maxSize;
+    let lines;
+    for (; size >= minSize; size -= 4) {
+        context.font = font(size);
+        lines = wrapPosterText(context, text, maxWidth);
+        if (lines.length <= maxLines) {
+            return { lines, size };
+        }
+    }
+    size = minSize;
+    context.font = font(size);
+    lines = wrapPosterText(context, text, maxWidth).slice(0, maxLines);
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s*\S{0,3}$/, '')}…`;
+    return { lines, size };
+}
+
+/**
+ * Draws lines of text, centred on x unless the context's textAlign says otherwise.
+ * @param {CanvasRenderingContext2D} context The context, with the font and colours already set.
+ * @param {Array<string>} lines The lines.
+ * @param {number} x Where to align the lines.
+ * @param {number} y The baseline of the first line.
+ * @param {number} lineHeight The distance between baselines.
+ * @param {boolean} [outlined] True to outline the text with the context's strokeStyle.
+ * @returns {number} The baseline after the last line.
+ */
+function drawPosterLines(context, lines, x, y, lineHeight, outlined = false) {
+    lines.forEach((line, index) => {
+        if (outlined) {
+            context.strokeText(line, x, y + index * lineHeight);
+        }
+        context.fillText(line, x, y + index * lineHeight);
+    });
+    return y + lines.length * lineHeight;
+}
+
+/**
+ * Fills the poster with the theme's gradient and the sunburst behind every good masala poster.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {object} theme The colour theme.
+ * @param {number} centerY Where the rays meet.
+ */
+function drawPosterBackground(context, theme, centerY) {
+    const gradient = context.createLinearGradient(0, 0, 0, POSTER_HEIGHT);
+    gradient.addColorStop(0, theme.background[0]);
+    gradient.addColorStop(1, theme.background[1]);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, POSTER_WIDTH, POSTER_HEIGHT);
+
+    const rays = 24;
+    const radius = POSTER_HEIGHT * 1.5;
+    context.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    for (let ray = 0; ray < rays; ray += 2) {
+        const start = (ray / rays) * Math.PI * 2;
+        const end = ((ray + 1) / rays) * Math.PI * 2;
+        context.beginPath();
+        context.moveTo(POSTER_WIDTH / 2, centerY);
+        context.lineTo(POSTER_WIDTH / 2 + Math.cos(start) * radius, centerY + Math.sin(start) * radius);
+        context.lineTo(POSTER_WIDTH / 2 + Math.cos(end) * radius, centerY + Math.sin(end) * radius);
+        context.closePath();
+        context.fill();
+    }
+}
+
+/**
+ * Draws the movie title, as big as it fits, in the theme's outlined title colours.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {object} poster The poster's text (see renderPoster).
+ * @param {object} theme The colour theme.
+ * @param {number} y The top of the title.
+ * @param {number} maxWidth The width of a line.
+ * @returns {number} The bottom of the title.
+ */
+function drawPosterTitle(context, poster, theme, y, maxWidth) {
+    const { lines, size } = fitPosterText(context, poster.movieTitle.toUpperCase(), {
+        font: px => `${px}px ${POSTER_TITLE_FONT}`,
+        maxSize: 150,
+        minSize: 56,
+        maxWidth,
+        maxLines: 3
+    });
+    context.fillStyle = theme.title;
+    context.strokeStyle = theme.titleOutline;
+    context.lineWidth = Math.max(4, size / 12);
+    context.lineJoin = 'round';
+    context.shadowColor = 'rgba(0, 0, 0, 0.45)';
+    context.shadowBlur = 24;
+    const bottom = drawPosterLines(context, lines, context.textAlign === 'left' ? 80 : POSTER_WIDTH / 2, y + size, size * 1.05, true);
+    context.shadowColor = 'transparent';
+    context.shadowBlur = 0;
+    return bottom;
+}
+
+/**
+ * Draws the tagline in italics.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {object} poster The poster's text.
+ * @param {object} theme The colour theme.
+ * @param {number} y The top of the tagline.
+ * @param {number} maxWidth The width of a line.
+ * @returns {number} The bottom of the tagline (y itself if there is none).
+ */
+function drawPosterTagline(context, poster, theme, y, maxWidth) {
+    if (!poster.tagline) {
+        return y;
+    }
+    const { lines, size } = fitPosterText(context, poster.tagline, {
+        font: px => `italic ${px}px ${POSTER_TEXT_FONT}`,
+        maxSize: 44,
+        minSize: 28,
+        maxWidth,
+        maxLines: 2
+    });
+    context.fillStyle = theme.accent;
+    return drawPosterLines(context, lines, context.textAlign === 'left' ? 80 : POSTER_WIDTH / 2, y + size, size * 1.3);
+}
+
+/**
+ * Draws the lyrics excerpt, one line each, between musical notes.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {object} poster The poster's text.
+ * @param {object} theme The colour theme.
+ * @param {number} y The top of the lyrics.
+ * @param {number} maxWidth The width of a line.
+ * @returns {number} The bottom of the lyrics.
+ */
+function drawPosterLyrics(context, poster, theme, y, maxWidth) {
+    context.fillStyle = theme.text;
+    let bottom = y;
+    for (const line of poster.lyrics) {
+        const { lines, size } = fitPosterText(context, `♪ ${line} ♪`, {
+            font: px => `italic ${px}px ${POSTER_TEXT_FONT}`,
+            maxSize: 40,
+            minSize: 28,
+            maxWidth,
+            maxLines: 2
+        });
+        bottom = drawPosterLines(context, lines, context.textAlign === 'left' ? 80 : POSTER_WIDTH / 2, bottom + size, size * 1.3) + 8;
+    }
+    return bottom;
+}
+
+/**
+ * Draws the credits block at the foot of the poster, crediting the newspaper the story came from.
+ * @param {CanvasRenderingContext2D} context The context.
+ * @param {object} poster The poster's text.
+ * @param {object} theme The colour theme.
+ */
+function drawPosterCredits(context, poster, theme) {
+    context.textAlign = 'center';
+    context.fillStyle = theme.text;
+    context.globalAlpha = 0.85;
+    context.font = `28px ${POSTER_CREDITS_FONT}`;
+    const credits = `BASED ON A TRUE STORY${poster.source ? ` FROM ${poster.source.toUpperCase()}` : ''}`;
+    drawPosterLines(context, wrapPosterText(context, credits, POSTER_WIDTH - 160), POSTER_WIDTH / 2, POSTER_HEIGHT - 110, 34);
+    context.font = `bold 24px ${POSTER_CREDITS_FONT}`;
+    context.fillText('A BOLLYWOOD NEWS TRANSFORMER PRODUCTION · IN CINEMAS SOON', POSTER_WIDTH / 2, POSTER_HEIGHT - 50, POSTER_WIDTH - 160);
+    context.globalAlpha = 1;
+}
+
+// Poster layouts: each draws the title, tagline and lyrics in its own arrangement
+const POSTER_LAYOUTS = {
+    classic: {
+        label: 'Classic',
+        // Title up top, then the tagline and the lyrics
+        draw(context, poster, theme) {
+            drawPosterBackground(context, theme, POSTER_HEIGHT * 0.25);
+            context.textAlign = 'center';
+            let y = drawPosterTitle(context, poster, theme, 120, POSTER_WIDTH - 160);
+            y = drawPosterTagline(context, poster, theme, y + 30, POSTER_WIDTH - 200);
+            drawPosterLyrics(context, poster, theme, Math.max(y + 80, POSTER_HEIGHT * 0.55), POSTER_WIDTH - 200);
+        }
+    },
+    marquee: {
+        label: 'Marquee',
+        // The title in lights in the middle, framed by a row of bulbs, like a cinema hall's marquee
+        draw(context, poster, theme) {
+            drawPosterBackground(context, theme, POSTER_HEIGHT / 2);
+            context.fillStyle = theme.accent;
+            const inset = 36;
+            const spacing = 54;
+            for (let x = inset; x <= POSTER_WIDTH - inset; x += spacing) {
+                for (const y of [inset, POSTER_HEIGHT - 190]) {
+                    context.beginPath();
+                    context.arc(x, y, 9, 0, Math.PI * 2);
+                    context.fill();
+                }
+            }
+            for (let y = inset + spacing; y < POSTER_HEIGHT - 190; y += spacing) {
+                for (const x of [inset, POSTER_WIDTH - inset]) {
+                    context.beginPath();
+                    context.arc(x, y, 9, 0, Math.PI * 2);
+                    context.fill();
+                }
+            }
+            context.textAlign = 'center';
+            let y = drawPosterTagline(context, poster, theme, 90, POSTER_WIDTH - 220);
+            y = drawPosterTitle(context, poster, theme, Math.max(y + 60, 330), POSTER_WIDTH - 220);
+            drawPosterLyrics(context, poster, theme, y + 70, POSTER_WIDTH - 220);
+        }
+    },
+    banner: {
+        label: 'Banner',
+        // The lyrics up top, and the title left-aligned on a dark band across the bottom
+        draw(context, poster, theme) {
+            drawPosterBackground(context, theme, 0);
+            context.textAlign = 'center';
+            drawPosterLyrics(context, poster, theme, 110, POSTER_WIDTH - 200);
+            context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            context.fillRect(0, POSTER_HEIGHT * 0.5, POSTER_WIDTH, POSTER_HEIGHT * 0.5 - 170);
+            context.textAlign = 'left';
+            const y = drawPosterTitle(context, poster, theme, POSTER_HEIGHT * 0.5 + 50, POSTER_WIDTH - 160);
+            drawPosterTagline(context, poster, theme, y + 20, POSTER_WIDTH - 160);
+        }
+    }
+};
+
+const DEFAULT_POSTER_LAYOUT = 'classic';
+
+/**
+ * Picks the lines a poster quotes from the lyrics: the chorus if the song is split into sections
+ * (see songToText in transformation.js), otherwise the first lines.
+ * @param {string} songLyrics The lyrics.
+ * @returns {Array<string>} At most POSTER_LYRICS_LINES lines.
+ */
+function getPosterLyricsExcerpt(songLyrics) {
+    const blocks = songLyrics.split(/\n\s*\n/).map(block => block.split('\n').map(line => line.trim()).filter(Boolean));
+    const chorus = blocks.find(block => /^\(chorus\)$/i.test(block[0]));
+    // Section labels like "(Verse)" aren't lyrics
+    const lines = (chorus || blocks.flat()).filter(line => !/^\(.*\)$/.test(line));
+    return lines.slice(0, POSTER_LYRICS_LINES);
+}
+
+/**
+ * Draws a poster.
+ * @param {object} poster The poster's text: { movieTitle, tagline, source, lyrics }, with the source
+ * as the newspaper's name and the lyrics as the lines to quote (see getPosterLyricsExcerpt).
+ * @param {string} layoutId The layout, a key of POSTER_LAYOUTS.
+ * @param {string} themeId The colour theme, a key of POSTER_THEMES.
+ * @returns {HTMLCanvasElement}
+ */
+function renderPoster(poster, layoutId, themeId) {
+    const canvas = document.createElement('canvas');
+    canvas.width = POSTER_WIDTH;
+    canvas.height = POSTER_HEIGHT;
+    const context = canvas.getContext('2d');
+    const layout = POSTER_LAYOUTS[layoutId] || POSTER_LAYOUTS[DEFAULT_POSTER_LAYOUT];
+    const theme = POSTER_THEMES[themeId] || POSTER_THEMES[DEFAULT_POSTER_THEME];
+    layout.draw(context, poster, theme);
+    drawPosterCredits(context, poster, theme);
+    return canvas;
+}
+
+/**
+ * Encodes a poster as a PNG.
+ * @param {HTMLCanvasElement} canvas The poster.
+ * @returns {Promise<Blob>}
+ */
+function posterToPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Could not encode the poster."))), 'image/png');
+    });
+}
+
+/**
+ * Turns a movie title into a file name for its poster.
+ * @param {string} movieTitle The movie title.
+ * @returns {string}
+ */
+function getPosterFileName(movieTitle) {
+    const slug = movieTitle.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${slug || 'bollywood'}-poster.png`;
+}
@@ -0,0 +1,233 @@
+// prompts.js - The prompts sent to the model, loaded by the background script and the options page.
+//
+// Prompts are templates with {placeholder}s. The user picks a style (what the article turns into)
+// and a language on the options page, or writes a custom template of their own; the built-in
+// templates below combine the chosen style and language into the actual prompts.
+
+// What the article body can turn into. Styles that aren't sectioned like a song are generated
+// with the separate title and text requests, since the structured format is built around songs.
+const TRANSFORMATION_STYLES = {
+    bollywoodSong: {
+        label: 'Bollywood song',
+        piece: "a short, fictional Bollywood song (2-3 stanzas with a chorus) that captures its main theme, emotions, or narrative. Use Bollywood song conventions (e.g., dramatic themes, relatable emotions).",
+        structured: true
+    },
+    qawwali: {
+        label: 'Qawwali',
+        piece: "a fictional qawwali in the Sufi tradition that captures its main theme, with a refrain the chorus repeats after every verse, building in intensity towards the end.",
+        structured: true
+    },
+    itemNumber: {
+        label: 'Item number',
+        piece: "a fictional, high-energy Bollywood item number about it, with a catchy hook, playful (but clean) wordplay and a chorus made for the dance floor.",
+        structured: true
+    },
+    dialogueBaazi: {
+        label: "70s dialogue-baazi",
+        piece: "a scene of 1970s-style dialogue-baazi about it: punchy, larger-than-life lines traded between the hero and the villain, with at least one line fit to become a catchphrase. Write each line as \"Character: dialogue\".",
+        structured: false
+    },
+    filmReview: {
+        label: 'Film review',
+        piece: "a review of the Bollywood movie it would make, as a film critic would write it: a star rating out of five, the plot without spoilers, the performances, the songs, and a one-line verdict.",
+        structured: false
+    },
+    trailerVoiceOver: {
+        label: 'Trailer voice-over script',
+        piece: "the voice-over script of the trailer of the Bollywood movie it would make (\"In a world where...\"): booming narration lines, [beat] marking the dramatic pauses, and a few snippets of dialogue.",
+        structured: false
+    }
+};
+
+const DEFAULT_STYLE_ID = 'bollywoodSong';
+
+// The languages (and scripts) the generated text can be written in
+const OUTPUT_LANGUAGES = {
+    hinglish: {
+        label: 'Hinglish',
+        instruction: "Write in Hinglish, a mix of Hindi and English, in Latin script."
+    },
+    hindi: {
+        label: 'Hindi (Devanagari)',
+        instruction: "Write in Hindi, in Devanagari script."
+    },
+    tamil: {
+        label: 'Tamil',
+        instruction: "Write in Tamil, in Tamil script."
+    },
+    bengali: {
+        label: 'Bengali',
+        instruction: "Write in Bengali, in Bengali script."
+    },
+    english: {
+        label: 'English',
+        instruction: "Write in English."
+    }
+};
+
+const DEFAULT_LANGUAGE_ID = 'hinglish';
+
+const MOVIE_TITLE_TEMPLATE = `Given the following news article title and content, suggest a catchy and dramatic Bollywood movie title that captures its essence. {language} Provide only the title, nothing else.
+
+        Article Title: "{title}"
+        Article Content: "{body}"`;
+
+const PIECE_TEMPLATE = `Based on the following news article, write {piece} {language} Focus on the core message.
+
+        Article Title: "{title}"
+        Article Content: "{body}"`;
+
+const STRUCTURED_TEMPLATE = `Turn the following news article into a fictional Bollywood movie. Respond with JSON only, containing:
+- "movieTitle": a catchy and dramatic Bollywood movie title that captures its essence.
+- "tagline": a one-line poster tagline.
+- "song": {piece} Give it a "title" and split it into "sections", each with a "type" ({sectionTypes}) and its "lines".
+- "cast": 3-5 Bollywood stars, each with the "role" they play in the story.
+{language} Keep the JSON keys and section types in English.
+
+        Article Title: "{title}"
+        Article Content: "{body}"`;
+
+const SUMMARY_TEMPLATE = `The following is part {part} of {parts} of a news article titled "{title}". Summarise it in a few sentences, keeping the people, places, numbers and key events, and the tone. Don't add anything that isn't in the text. Provide only the summary, nothing else.
+
+        Text: "{body}"`;
+
+// The placeholders a custom template can use (see buildPiecePrompt)
+const CUSTOM_TEMPLATE_PLACEHOLDERS = ['title', 'body', 'language'];
+
+/**
+ * Fills in the {placeholders} of a template. Placeholders without a value (or with an undefined
+ * one, like {piece} for a custom template) are left as they are.
+ * @param {string} template The template.
+ * @param {object} values The values, keyed by placeholder name (e.g. { title, body }).
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(values, name) && values[name] !== undefined ? values[name] : placeholder));
+}
+
+/**
+ * Lists the placeholders of a custom template that won't be filled in, e.g. a misspelt {titel}.
+ * @param {string} template The template.
+ * @returns {Array<string>} The unknown placeholders, as written (e.g. "{titel}"), each once.
+ */
+function findUnknownPlaceholders(template) {
+    const placeholders = Array.from(template.matchAll(/\{(\w+)\}/g), ([placeholder, name]) => (
+        CUSTOM_TEMPLATE_PLACEHOLDERS.includes(name) ? null : placeholder
+    ));
+    return [...new Set(placeholders.filter(Boolean))];
+}
+
+/**
+ * Looks up the style chosen in the settings: a built-in style, or one of the user's custom templates.
+ * Falls back to the default style if the chosen one no longer exists (e.g. a deleted template).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {object} { id, label, structured } plus the built-in style's piece or the template's prompt.
+ */
+function getStyle(settings) {
+    const customTemplate = settings.customTemplates.find(template => template.id === settings.style);
+    if (customTemplate) {
+        return { id: customTemplate.id, label: customTemplate.name, prompt: customTemplate.prompt, structured: false };
+    }
+    const styleId = TRANSFORMATION_STYLES[settings.style] ? settings.style : DEFAULT_STYLE_ID;
+    return { id: styleId, ...TRANSFORMATION_STYLES[styleId] };
+}
+
+/**
+ * Looks up the output language chosen in the settings, falling back to the default one.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {object} { label, instruction }.
+ */
+function getLanguage(settings) {
+    return OUTPUT_LANGUAGES[settings.language] || OUTPUT_LANGUAGES[DEFAULT_LANGUAGE_ID];
+}
+
+/**
+ * Returns the instruction telling the model which language and script to write in.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {string}
+ */
+function getLanguageInstruction(settings) {
+    return getLanguage(settings).instruction;
+}
+
+/**
+ * Tells whether the chosen style can be generated with the single structured request (see transformation.js).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {boolean}
+ */
+function canUseStructuredPrompt(settings) {
+    return getStyle(settings).structured;
+}
+
+/**
+ * Identifies everything about the prompts that changes the output, so a cached transformation
+ * made with another style, language or template isn't reused (see cache.js).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {string}
+ */
+function getPromptSignature(settings) {
+    const style = getStyle(settings);
+    return JSON.stringify([style.id, style.prompt || '', getLanguageInstruction(settings)]);
+}
+
+/**
+ * Builds the prompt for the movie title.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @returns {string}
+ */
+function buildMovieTitlePrompt(settings, articleTitle, articleBody) {
+    return fillTemplate(MOVIE_TITLE_TEMPLATE, {
+        title: articleTitle,
+        body: truncateToTokens(articleBody, settings.contextBudgetTokens),
+        language: getLanguageInstruction(settings)
+    });
+}
+
+/**
+ * Builds the prompt for the text that replaces the article body: the song lyrics, or whatever
+ * the chosen style or custom template asks for.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @returns {string}
+ */
+function buildPiecePrompt(settings, articleTitle, articleBody) {
+    const style = getStyle(settings);
+    return fillTemplate(style.prompt || PIECE_TEMPLATE, {
+        piece: style.piece,
+        title: articleTitle,
+        body: truncateToTokens(articleBody, settings.contextBudgetTokens),
+        language: getLanguageInstruction(settings)
+    });
+}
+
+/**
+ * Builds the prompt for the single structured request.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} articleBody The main content of the news article.
+ * @returns {string}
+ */
+function buildStructuredPrompt(settings, articleTitle, articleBody) {
+    return fillTemplate(STRUCTURED_TEMPLATE, {
+        piece: getStyle(settings).piece,
+        sectionTypes: SONG_SECTION_TYPES.join(', '),
+        title: articleTitle,
+        body: truncateToTokens(articleBody, settings.contextBudgetTokens),
+        language: getLanguageInstruction(settings)
+    });
+}
+
+/**
+ * Builds the prompt that summarises one chunk of a long article (see condenseArticleBody in background.js).
+ * @param {string} articleTitle The title of the news article.
+ * @param {string} chunk The chunk of the article body.
+ * @param {number} part The chunk's position, from 1.
+ * @param {number} parts The number of chunks.
+ * @returns {string}
+ */
+function buildSummaryPrompt(articleTitle, chunk, part, parts) {
+    return fillTemplate(SUMMARY_TEMPLATE, { title: articleTitle, body: chunk, part, parts });
+}
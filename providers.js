@@ -0,0 +1,670 @@
+// providers.js - The LLM providers the extension can talk to, loaded by the background script and the options page.
+//
+// Each provider only describes its wire format: how to build a request for a prompt and how to read
+// the generated text (or error) back out of the response. callProvider() and listProviderModels()
+// do the actual fetching, so every provider behaves the same way towards the rest of the extension:
+// failures are thrown as an LlmApiError with a code from LLM_ERROR_MESSAGES, and the transient ones
+// (rate limits, server errors, timeouts, network errors) are retried with exponential backoff.
+// Providers that can stream (buildStreamRequest) are also used through streamProvider(), which hands
+// the generated text over chunk by chunk as it arrives.
+
+// User-facing explanation of each LlmApiError code
+const LLM_ERROR_MESSAGES = {
+    badRequest: "The model provider rejected the request.",
+    unauthorized: "The API key was rejected. Check it on the extension's options page.",
+    forbidden: "The API key is not allowed to use this model or API. Check it on the extension's options page.",
+    notFound: "The model or endpoint was not found. Check the model and base URL on the extension's options page.",
+    rateLimited: "Rate limit or quota exceeded. Try again in a little while.",
+    serverError: "The model provider had a server error. Try again later.",
+    timeout: "The model provider took too long to answer.",
+    network: "Could not reach the model provider. Check your connection and the endpoint base URL.",
+    blocked: "The model refused to write about this article (blocked by its safety filters).",
+    emptyResponse: "The model returned an empty response.",
+    invalidResponse: "The model provider sent a response that could not be read.",
+    cancelled: "The transformation was cancelled."
+};
+
+// Error codes worth retrying, since the same request may well succeed a moment later
+const RETRYABLE_ERROR_CODES = ['rateLimited', 'serverError', 'timeout', 'network'];
+
+// Never wait longer than this between retries, so a transform doesn't hang for minutes
+// (and the service worker isn't shut down mid-wait)
+const MAX_RETRY_DELAY_MS = 20000;
+
+// Gemini finish reasons that mean the answer was withheld rather than cut short
+const GEMINI_BLOCKING_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'RECITATION'];
+
+/**
+ * An error from a model provider, classified so callers can explain it and decide whether to retry.
+ */
+class LlmApiError extends Error {
+    /**
+     * @param {string} code One of the keys of LLM_ERROR_MESSAGES.
+     * @param {string} [detail] The provider's own error message, if any.
+     * @param {object} [options]
+     * @param {number|null} [options.status] The HTTP status of the response.
+     * @param {number|null} [options.retryAfterMs] How long the provider asked us to wait before retrying.
+     */
+    constructor(code, detail, { status = null, retryAfterMs = null } = {}) {
+        const statusText = status ? ` (HTTP ${status})` : '';
+        super(detail ? `${LLM_ERROR_MESSAGES[code]}${statusText} ${detail}` : `${LLM_ERROR_MESSAGES[code]}${statusText}`);
+        this.name = 'LlmApiError';
+        this.code = code;
+        this.detail = detail || '';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return RETRYABLE_ERROR_CODES.includes(this.code);
+    }
+}
+
+/**
+ * Joins a base URL and a path, tolerating a trailing slash on the base URL.
+ * @param {string} baseUrl The endpoint base URL.
+ * @param {string} path The path to append, starting with "/".
+ * @returns {string}
+ */
+function joinUrl(baseUrl, path) {
+    return `${baseUrl.replace(/\/+$/, '')}${path}`;
+}
+
+/**
+ * Converts a JSON Schema into the OpenAPI subset Gemini's responseSchema accepts:
+ * upper-case type names and no additionalProperties. Gemini orders properties alphabetically
+ * unless told otherwise, so the schema's own order is kept, which streams the movie title first.
+ * @param {object} schema The JSON Schema.
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+    const { additionalProperties, ...geminiSchema } = schema;
+    geminiSchema.type = schema.type.toUpperCase();
+    if (schema.properties) {
+        geminiSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+        );
+        geminiSchema.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.items) {
+        geminiSchema.items = toGeminiSchema(schema.items);
+    }
+    return geminiSchema;
+}
+
+/**
+ * Builds the headers for providers that take the API key as a bearer token.
+ * The key is optional there, since local servers usually don't need one.
+ * @param {string} apiKey The API key, possibly empty.
+ * @returns {object}
+ */
+function bearerHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+const LLM_PROVIDERS = {
+    // Google Gemini, through the generateContent API
+    gemini: {
+        label: 'Google Gemini',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-2.0-flash',
+        requiresApiKey: true,
+
+        buildRequest({ apiBaseUrl, model, apiKey, prompt, params }) {
+            const generationConfig = {
+                temperature: params.temperature,
+                maxOutputTokens: params.maxOutputTokens
+            };
+            if (params.responseSchema) {
+                generationConfig.responseMimeType = 'application/json';
+                generationConfig.responseSchema = toGeminiSchema(params.responseSchema);
+            }
+            return {
+                url: joinUrl(apiBaseUrl, `/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`),
+                options: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        contents: [{ role: "user", parts: [{ text: prompt }] }],
+                        generationConfig
+                    })
+                }
+            };
+        },
+
+        // Same request body, answered as server-sent events that each carry a partial response
+        buildStreamRequest(args) {
+            const { url, options } = this.buildRequest(args);
+            return {
+                url: url.replace(':generateContent?', ':streamGenerateContent?alt=sse&'),
+                options
+            };
+        },
+
+        parseResponse(result) {
+            const candidate = result.candidates && result.candidates[0];
+            const parts = candidate && candidate.content && candidate.content.parts;
+            let blockReason = result.promptFeedback && result.promptFeedback.blockReason;
+            if (!blockReason && candidate && GEMINI_BLOCKING_FINISH_REASONS.includes(candidate.finishReason)) {
+                blockReason = candidate.finishReason;
+            }
+            return {
+                text: parts && parts.length > 0 && typeof parts[0].text === 'string' ? parts[0].text : null,
+                error: result.error || null,
+                blockReason: blockReason || null
+            };
+        },
+
+        buildModelsRequest({ apiBaseUrl, apiKey }) {
+            return { url: joinUrl(apiBaseUrl, `/models?key=${encodeURIComponent(apiKey)}&pageSize=1000`), options: {} };
+        },
+
+        parseModels(result) {
+            return (result.models || [])
+                .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+                .map(model => model.name.replace(/^models\//, ''));
+        }
+    },
+
+    // Anything that speaks the OpenAI chat completions API: OpenAI itself, OpenRouter,
+    // or a local llama.cpp / LM Studio / vLLM server
+    openai: {
+        label: 'OpenAI-compatible (chat completions)',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        requiresApiKey: false,
+
+        buildRequest({ apiBaseUrl, model, apiKey, prompt, params }) {
+            return {
+                url: joinUrl(apiBaseUrl, '/chat/completions'),
+                options: {
+                    method: 'POST',
+                    headers: bearerHeaders(apiKey),
+                    body: JSON.stringify({
+                        model,
+                        messages: [{ role: "user", content: prompt }],
+                        temperature: params.temperature,
+                        max_tokens: params.maxOutputTokens,
+                        ...(params.responseSchema && {
+                            response_format: {
+                                type: 'json_schema',
+                                json_schema: { name: 'response', strict: true, schema: params.responseSchema }
+                            }
+                        })
+                    })
+                }
+            };
+        },
+
+        parseResponse(result) {
+            const choice = result.choices && result.choices[0];
+            return {
+                text: choice && choice.message && typeof choice.message.content === 'string' ? choice.message.content : null,
+                error: result.error || null,
+                blockReason: choice && choice.finish_reason === 'content_filter' ? 'content_filter' : null
+            };
+        },
+
+        buildModelsRequest({ apiBaseUrl, apiKey }) {
+            return { url: joinUrl(apiBaseUrl, '/models'), options: { headers: bearerHeaders(apiKey) } };
+        },
+
+        parseModels(result) {
+            return (result.data || []).map(model => model.id);
+        }
+    },
+
+    // A local Ollama server, through its native chat API
+    ollama: {
+        label: 'Ollama (local)',
+        defaultBaseUrl: 'http://localhost:11434',
+        defaultModel: 'llama3.2',
+        requiresApiKey: false,
+
+        buildRequest({ apiBaseUrl, model, prompt, params }) {
+            return {
+                url: joinUrl(apiBaseUrl, '/api/chat'),
+                options: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        model,
+                        messages: [{ role: "user", content: prompt }],
+                        stream: false,
+                        ...(params.responseSchema && { format: params.responseSchema }),
+                        options: {
+                            temperature: params.temperature,
+                            num_predict: params.maxOutputTokens
+                        }
+                    })
+                }
+            };
+        },
+
+        parseResponse(result) {
+            return {
+                text: result.message && typeof result.message.content === 'string' ? result.message.content : null,
+                // Ollama reports errors as a plain string
+                error: result.error ? { message: result.error } : null,
+                blockReason: null
+            };
+        },
+
+        buildModelsRequest({ apiBaseUrl }) {
+            return { url: joinUrl(apiBaseUrl, '/api/tags'), options: {} };
+        },
+
+        parseModels(result) {
+            return (result.models || []).map(model => model.name);
+        }
+    }
+};
+
+/**
+ * Looks up a provider by id, falling back to Gemini for unknown ids (e.g. from an older version).
+ * @param {string} providerId The provider id stored in the settings.
+ * @returns {object} The provider.
+ */
+function getProvider(providerId) {
+    return LLM_PROVIDERS[providerId] || LLM_PROVIDERS.gemini;
+}
+
+/**
+ * Maps an HTTP status to an LlmApiError code.
+ * @param {number} status The HTTP status of the response.
+ * @returns {string}
+ */
+function classifyHttpStatus(status) {
+    if (status === 401) {
+        return 'unauthorized';
+    }
+    if (status === 403) {
+        return 'forbidden';
+    }
+    if (status === 404) {
+        return 'notFound';
+    }
+    if (status === 408) {
+        return 'timeout';
+    }
+    if (status === 429) {
+        return 'rateLimited';
+    }
+    if (status >= 500) {
+        return 'serverError';
+    }
+    return 'badRequest';
+}
+
+/**
+ * Works out how long the provider asked us to wait before retrying, from the Retry-After
+ * header (in seconds or as an HTTP date) or, for Gemini, the RetryInfo detail of the error.
+ * @param {Response} response The HTTP response.
+ * @param {object|null} apiError The error object from the response body, if any.
+ * @returns {number|null} The delay in milliseconds, or null if the provider didn't say.
+ */
+function getRetryAfterMs(response, apiError) {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return seconds * 1000;
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+    const retryInfo = apiError && Array.isArray(apiError.details) &&
+        apiError.details.find(detail => typeof detail.retryDelay === 'string');
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay); // e.g. "37s"
+        if (!Number.isNaN(seconds)) {
+            return seconds * 1000;
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns an error thrown by fetch() (or while reading its body) into an LlmApiError.
+ * @param {Error} error The error.
+ * @param {number} timeoutMs The timeout the request was aborted after, if it was.
+ * @param {AbortSignal} [signal] The caller's signal, which tells a cancellation from a timeout.
+ * @returns {LlmApiError}
+ */
+function toFetchError(error, timeoutMs, signal) {
+    if (error instanceof LlmApiError) {
+        return error;
+    }
+    if (error.name === 'AbortError') {
+        if (signal && signal.aborted) {
+            return new LlmApiError('cancelled');
+        }
+        return new LlmApiError('timeout', `No answer after ${Math.round(timeoutMs / 1000)} seconds.`);
+    }
+    return new LlmApiError('network', error.message);
+}
+
+/**
+ * Parses a response body as JSON.
+ * @param {string} body The response body.
+ * @returns {object|null} The parsed body, or null if it isn't JSON.
+ */
+function parseJsonBody(body) {
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        // Proxies and load balancers answer errors with HTML; the status code still tells us what happened
+        return null;
+    }
+}
+
+/**
+ * Fetches a URL and parses its JSON response, aborting after the given timeout.
+ * @param {string} url The URL to fetch.
+ * @param {object} options The fetch options.
+ * @param {number} timeoutMs How long to wait for the complete response.
+ * @param {AbortSignal} [signal] Aborts the request when the caller cancels it.
+ * @returns {Promise<object>} { response, result }: the HTTP response and its parsed body
+ * (null if the body isn't JSON).
+ * @throws {LlmApiError} With code 'timeout', 'network' or 'cancelled'.
+ */
+async function fetchJson(url, options, timeoutMs, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, timeoutMs);
+    if (signal) {
+        signal.addEventListener('abort', abort);
+    }
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        const result = parseJsonBody(await response.text());
+        return { response, result };
+    } catch (error) {
+        throw toFetchError(error, timeoutMs, signal);
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+/**
+ * Throws an LlmApiError if a response is an HTTP or API error.
+ * @param {object} provider The provider the response came from.
+ * @param {Response} response The HTTP response.
+ * @param {object|null} result The parsed response body.
+ * @throws {LlmApiError}
+ */
+function checkResponse(provider, response, result) {
+    const apiError = result ? provider.parseResponse(result).error : null;
+    const detail = (apiError && apiError.message) || '';
+    if (!response.ok) {
+        throw new LlmApiError(classifyHttpStatus(response.status), detail, {
+            status: response.status,
+            retryAfterMs: getRetryAfterMs(response, apiError)
+        });
+    }
+    if (apiError) {
+        // Some servers report errors with a 200 status; use the error's own code when it has one
+        const status = typeof apiError.code === 'number' ? apiError.code : null;
+        throw new LlmApiError(status ? classifyHttpStatus(status) : 'badRequest', detail, { status });
+    }
+    if (!result) {
+        throw new LlmApiError('invalidResponse');
+    }
+}
+
+/**
+ * Waits for the given time, or until the caller cancels.
+ * @param {number} ms The delay in milliseconds.
+ * @param {AbortSignal} [signal] Ends the wait early.
+ * @returns {Promise<void>}
+ * @throws {LlmApiError} With code 'cancelled' once the signal is aborted.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new LlmApiError('cancelled'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new LlmApiError('cancelled'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Sends a prompt to the configured provider once.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key (may be empty for providers that don't need one).
+ * @param {string} prompt The prompt text.
+ * @param {object} params The generation parameters, as { temperature, maxOutputTokens }, plus an
+ * optional responseSchema (a JSON Schema) to ask for JSON output matching it.
+ * @param {AbortSignal} [signal] Cancels the request.
+ * @returns {Promise<string>} The generated text.
+ * @throws {LlmApiError}
+ */
+async function callProviderOnce(settings, apiKey, prompt, params, signal) {
+    const provider = getProvider(settings.provider);
+    const { url, options } = provider.buildRequest({
+        apiBaseUrl: settings.apiBaseUrl,
+        model: settings.model,
+        apiKey,
+        prompt,
+        params
+    });
+    const { response, result } = await fetchJson(url, options, settings.requestTimeoutSeconds * 1000, signal);
+    checkResponse(provider, response, result);
+
+    const { text, blockReason } = provider.parseResponse(result);
+    if (blockReason) {
+        throw new LlmApiError('blocked', `Reason: ${blockReason}.`);
+    }
+    if (!text || !text.trim()) {
+        console.warn(`Empty response from ${provider.label}. Full response:`, result);
+        throw new LlmApiError('emptyResponse');
+    }
+    return text;
+}
+
+/**
+ * Makes a request, retrying rate limits, server errors, timeouts and network errors with
+ * exponential backoff (or after the delay the provider asked for).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {function(): Promise<*>} request Makes one attempt.
+ * @param {AbortSignal} [signal] Cancels the retries.
+ * @param {function(): boolean} [canRetry] Tells whether a failed attempt may still be repeated.
+ * @returns {Promise<*>} The result of the first successful attempt.
+ * @throws {LlmApiError} Once the error isn't retryable or the retries are used up.
+ */
+async function withRetries(settings, request, signal, canRetry = () => true) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (!(error instanceof LlmApiError) || !error.retryable || attempt >= settings.maxRetries || !canRetry()) {
+                throw error;
+            }
+            // 1s, 2s, 4s, ... plus some jitter, so parallel requests don't retry in lockstep
+            const backoffMs = 1000 * 2 ** attempt + Math.random() * 250;
+            const delayMs = error.retryAfterMs !== null ? error.retryAfterMs : backoffMs;
+            if (delayMs > MAX_RETRY_DELAY_MS) {
+                throw error;
+            }
+            console.warn(`${error.message} Retrying in ${Math.round(delayMs)} ms (attempt ${attempt + 1} of ${settings.maxRetries}).`);
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Sends a prompt to the configured provider, retrying transient failures (see withRetries).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key (may be empty for providers that don't need one).
+ * @param {string} prompt The prompt text.
+ * @param {object} params The generation parameters (see callProviderOnce).
+ * @param {AbortSignal} [signal] Cancels the request.
+ * @returns {Promise<string>} The generated text.
+ * @throws {LlmApiError} Once the error isn't retryable or the retries are used up.
+ */
+async function callProvider(settings, apiKey, prompt, params, signal) {
+    return withRetries(settings, () => callProviderOnce(settings, apiKey, prompt, params, signal), signal);
+}
+
+/**
+ * Tells whether the configured provider can stream its answer (see streamProvider).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @returns {boolean}
+ */
+function canStreamProvider(settings) {
+    return typeof getProvider(settings.provider).buildStreamRequest === 'function';
+}
+
+/**
+ * Streams the answer to a prompt from the configured provider once, as server-sent events.
+ * The timeout applies to the wait for each chunk rather than to the whole answer,
+ * since a long song can take a while to stream in full.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key (may be empty for providers that don't need one).
+ * @param {string} prompt The prompt text.
+ * @param {object} params The generation parameters (see callProviderOnce).
+ * @param {function(string): void} onText Called with each chunk of generated text.
+ * @param {AbortSignal} [signal] Cancels the request, even mid-stream.
+ * @returns {Promise<string>} The whole generated text.
+ * @throws {LlmApiError}
+ */
+async function streamProviderOnce(settings, apiKey, prompt, params, onText, signal) {
+    const provider = getProvider(settings.provider);
+    const { url, options } = provider.buildStreamRequest({
+        apiBaseUrl: settings.apiBaseUrl,
+        model: settings.model,
+        apiKey,
+        prompt,
+        params
+    });
+    const timeoutMs = settings.requestTimeoutSeconds * 1000;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timer = setTimeout(abort, timeoutMs);
+    if (signal) {
+        signal.addEventListener('abort', abort);
+    }
+
+    let text = '';
+    // Each event is one or more "data:" lines holding a partial response, followed by a blank line
+    const handleEvent = (response, event) => {
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        if (!data) {
+            return;
+        }
+        const result = parseJsonBody(data);
+        checkResponse(provider, response, result);
+        const chunk = provider.parseResponse(result);
+        if (chunk.blockReason) {
+            throw new LlmApiError('blocked', `Reason: ${chunk.blockReason}.`);
+        }
+        if (chunk.text) {
+            text += chunk.text;
+            onText(chunk.text);
+        }
+    };
+
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        if (!response.ok) {
+            checkResponse(provider, response, parseJsonBody(await response.text()));
+        }
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(abort, timeoutMs);
+            buffer += value;
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop(); // The last event may not be complete yet
+            events.forEach(event => handleEvent(response, event));
+        }
+        handleEvent(response, buffer);
+    } catch (error) {
+        throw toFetchError(error, timeoutMs, signal);
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', abort);
+        }
+    }
+
+    if (!text.trim()) {
+        console.warn(`Empty streamed response from ${provider.label}.`);
+        throw new LlmApiError('emptyResponse');
+    }
+    return text;
+}
+
+/**
+ * Streams the answer to a prompt from the configured provider, retrying transient failures
+ * as long as no text has been handed over yet (a retry would repeat it).
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} apiKey The API key (may be empty for providers that don't need one).
+ * @param {string} prompt The prompt text.
+ * @param {object} params The generation parameters (see callProviderOnce).
+ * @param {function(string): void} onText Called with each chunk of generated text.
+ * @param {AbortSignal} [signal] Cancels the request, even mid-stream.
+ * @returns {Promise<string>} The whole generated text.
+ * @throws {LlmApiError}
+ */
+async function streamProvider(settings, apiKey, prompt, params, onText, signal) {
+    let streamed = false;
+    const onChunk = chunk => {
+        streamed = true;
+        onText(chunk);
+    };
+    return withRetries(settings, () => streamProviderOnce(settings, apiKey, prompt, params, onChunk, signal), signal, () => !streamed);
+}
+
+/**
+ * Lists the models available on a provider's endpoint, which also checks the API key.
+ * @param {string} providerId The provider id.
+ * @param {string} apiBaseUrl The endpoint base URL.
+ * @param {string} apiKey The API key (may be empty for providers that don't need one).
+ * @param {number} timeoutMs How long to wait for the endpoint.
+ * @returns {Promise<object>} { success: true, models } or { success: false, code, error }.
+ */
+async function listProviderModels(providerId, apiBaseUrl, apiKey, timeoutMs) {
+    const provider = getProvider(providerId);
+    const { url, options } = provider.buildModelsRequest({ apiBaseUrl, apiKey });
+    try {
+        const { response, result } = await fetchJson(url, options, timeoutMs);
+        checkResponse(provider, response, result);
+        return { success: true, models: provider.parseModels(result) };
+    } catch (error) {
+        if (error instanceof LlmApiError) {
+            return { success: false, code: error.code, error: error.message };
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,173 @@
+// settings.js - Shared settings helpers, loaded by the content script, the popup, the options page,
+// the library page and the background script.
+
+// The news domains the extension runs on automatically (must match the manifest's content_scripts).
+// Other sites can be added by the user at runtime, see customSites below.
+const NEWS_DOMAINS = [
+    'timesofindia.indiatimes.com',
+    'thehindu.com',
+    'hindustantimes.com',
+    'indianexpress.com'
+];
+
+// Defaults for everything kept in chrome.storage.sync. Passing this object to
+// chrome.storage.sync.get() fills in any value the user hasn't changed yet.
+const DEFAULT_SETTINGS = {
+    autoTransform: true, // Transform articles automatically when a news page loads
+    siteAutoTransform: {}, // Per-site overrides of autoTransform, keyed by getSiteKey(hostname)
+    customSites: [], // Site keys the user chose to "always run" on, on top of NEWS_DOMAINS
+    cacheEnabled: true, // Reuse generated transformations when an article is revisited (see cache.js)
+    cacheTtlHours: 168, // How long a cached transformation stays valid (a week)
+    cacheMaxEntries: 100, // How many articles to keep, least recently used ones are dropped first
+    provider: 'gemini', // Which LLM provider to call, see LLM_PROVIDERS in providers.js
+    apiBaseUrl: 'https://generativelanguage.googleapis.com/v1beta', // Provider endpoint, without the model path
+    model: 'gemini-2.0-flash',
+    requestTimeoutSeconds: 30, // Abort a request to the provider after this long
+    maxRetries: 3, // Retries of rate-limited, failed or timed-out requests, with exponential backoff
+    structuredOutput: true, // Ask for title, tagline, song and cast in one JSON request (see transformation.js)
+    streamLyrics: true, // Type the song lyrics into the page as they stream in, where the provider can stream
+    style: 'bollywoodSong', // What the article turns into: a key of TRANSFORMATION_STYLES (see prompts.js) or a custom template id
+    language: 'hinglish', // Language and script of the generated text, a key of OUTPUT_LANGUAGES (see prompts.js)
+    customTemplates: [], // The user's own prompts, as { id, name, prompt } with {title} and {body} placeholders
+    contextBudgetTokens: 1500, // The most article text, in (estimated) tokens, to put in a prompt (see chunking.js)
+    summarizeLongArticles: true, // Summarise longer articles chunk by chunk first, rather than cutting them off
+    // Generation parameters for each kind of text we ask the model for
+    generation: {
+        structured: {
+            temperature: 0.9,
+            maxOutputTokens: 1024 // Room for the whole JSON object
+        },
+        summary: {
+            temperature: 0.3, // Summaries should stick to the facts
+            maxOutputTokens: 300
+        },
+        movieTitle: {
+            temperature: 0.7, // Adjust creativity
+            maxOutputTokens: 50 // Keep output short
+        },
+        songLyrics: {
+            temperature: 0.9, // Higher temperature for more creative lyrics
+            maxOutputTokens: 500 // Allow more tokens for lyrics
+        }
+    }
+};
+
+// The API key is kept in chrome.storage.local rather than sync, so it stays on this device.
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+/**
+ * Reads the user's settings, falling back to the defaults for anything not stored yet.
+ * @returns {Promise<object>} The settings object.
+ */
+async function getSettings() {
+    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    // chrome.storage only fills in top-level defaults, so merge the nested generation
+    // parameters too, in case a stored object predates a newly added type or field.
+    const generation = {};
+    for (const [type, defaults] of Object.entries(DEFAULT_SETTINGS.generation)) {
+        generation[type] = { ...defaults, ...(settings.generation[type] || {}) };
+    }
+    return { ...settings, generation };
+}
+
+/**
+ * Persists the given settings. Only the keys present in the object are changed.
+ * @param {object} changes The settings to store.
+ * @returns {Promise<void>}
+ */
+async function saveSettings(changes) {
+    return chrome.storage.sync.set(changes);
+}
+
+/**
+ * Reads the API key the user entered on the options page.
+ * @returns {Promise<string>} The API key, or an empty string if none is configured.
+ */
+async function getApiKey() {
+    const stored = await chrome.storage.local.get({ [API_KEY_STORAGE_KEY]: '' });
+    return stored[API_KEY_STORAGE_KEY].trim();
+}
+
+/**
+ * Stores the API key on this device.
+ * @param {string} apiKey The API key (an empty string removes it).
+ * @returns {Promise<void>}
+ */
+async function saveApiKey(apiKey) {
+    return chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: apiKey.trim() });
+}
+
+/**
+ * Maps a hostname to the key its per-site settings are stored under. Subdomains of a known
+ * news domain (e.g. "m.timesofindia.indiatimes.com") share their newspaper's key.
+ * @param {string} hostname The hostname of the page.
+ * @returns {string} The site key.
+ */
+function getSiteKey(hostname) {
+    const newsDomain = NEWS_DOMAINS.find(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    if (newsDomain) {
+        return newsDomain;
+    }
+    return hostname.replace(/^www\./, '');
+}
+
+/**
+ * Tells whether the given hostname belongs to one of the supported news domains.
+ * @param {string} hostname The hostname of the page.
+ * @returns {boolean}
+ */
+function isNewsSite(hostname) {
+    return NEWS_DOMAINS.includes(getSiteKey(hostname));
+}
+
+/**
+ * Tells whether the content script runs on the given site by itself, either because it's one of
+ * the supported news domains or because the user chose to always run on it.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} hostname The hostname of the page.
+ * @returns {boolean}
+ */
+function isAutoRunSite(settings, hostname) {
+    return isNewsSite(hostname) || settings.customSites.includes(getSiteKey(hostname));
+}
+
+/**
+ * Returns the match patterns covering a site and its subdomains, for host permissions
+ * and dynamically registered content scripts.
+ * @param {string} siteKey The site key, as returned by getSiteKey().
+ * @returns {string[]}
+ */
+function getSiteMatchPatterns(siteKey) {
+    return [`*://${siteKey}/*`, `*://*.${siteKey}/*`];
+}
+
+/**
+ * Decides whether articles on the given site should be transformed automatically on load.
+ * A per-site choice wins over the global switch.
+ * @param {object} settings The settings, as returned by getSettings().
+ * @param {string} hostname The hostname of the page.
+ * @returns {boolean}
+ */
+function isAutoTransformEnabled(settings, hostname) {
+    const siteChoice = settings.siteAutoTransform[getSiteKey(hostname)];
+    if (typeof siteChoice === 'boolean') {
+        return siteChoice;
+    }
+    return settings.autoTransform;
+}
+
+/**
+ * Creates a queue for the updates of a value kept in chrome.storage. Each update reads the value,
+ * changes it and writes it back, so two running at once would lose one of the changes; the queue
+ * runs them one at a time, in the order they were queued.
+ * @returns {function(function(): Promise<*>): Promise<*>} Queues an update, and resolves (or
+ * rejects) with its result once it has run. A failed update doesn't hold up the next ones.
+ */
+function createUpdateQueue() {
+    let pending = Promise.resolve();
+    return update => {
+        const result = pending.then(update);
+        pending = result.catch(() => {});
+        return result;
+    };
+}
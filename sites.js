@@ -0,0 +1,235 @@
+// sites.js - Per-site extraction rules, loaded by the content script before content.js.
+//
+// Each adapter lists, for one newspaper, the selectors of its headline, its article body container,
+// the paragraphs inside that container and the blocks inside it that aren't part of the story
+// (ads, captions, "read more" boxes). content.js uses the same adapter to extract the article and
+// to find the elements it replaces, so the two can't drift apart.
+
+// Blocks that are never part of the story, whatever the site
+const COMMON_EXCLUDE_SELECTORS = [
+    'script',
+    'style',
+    'noscript',
+    'iframe',
+    'figure',
+    'figcaption',
+    'aside',
+    'nav',
+    '.advertisement',
+    '.ad-slot',
+    '[id^="div-gpt-ad"]'
+];
+
+// Used for sites without an adapter, and as a second chance when a known site changes its markup
+const GENERIC_SITE_ADAPTER = {
+    name: 'Generic',
+    titleSelectors: [
+        'h1[itemprop="headline"]',
+        'h1.story-title',
+        'h1.headline',
+        'article h1',
+        'h1' // Generic h1, less specific but sometimes necessary
+    ],
+    bodySelectors: [
+        'div[itemprop="articleBody"]', // Standard semantic HTML for article content
+        'article', // Semantic HTML5 tag for main content
+        'div.story-content', // Generic container
+        'div.article-body', // Generic container
+        'div.section-article-text', // Generic container
+        'div.content-wrapper', // Generic container
+        'div.article-detail', // Generic container
+        'div.entry-content', // Common in WordPress themes
+        'div.td-post-content', // Specific to certain themes
+        'div.primary-content', // More generic
+        'div.fl-post-content', // Common for some page builders
+        'div.inner-content', // Another generic container
+        'div.story-element-text', // Seen on some news sites
+        'div.detail-content', // Generic for news details
+        'div[data-story-id]', // Data attribute based selector
+        'div.article-content', // Generic content class
+        'div.full_story', // Legacy news site class
+        'div#content-area', // Common ID for main content area
+        'div.story_content' // Generic story content class
+    ],
+    paragraphSelector: 'p',
+    excludeSelectors: [
+        '.related',
+        '.related-articles',
+        '.read-more',
+        '.also-read',
+        '.social-share',
+        '.newsletter'
+    ]
+};
+
+// Adapters for the supported newspapers, keyed by the site key from getSiteKey() (see settings.js)
+const SITE_ADAPTERS = {
+    'timesofindia.indiatimes.com': {
+        name: 'Times of India',
+        titleSelectors: [
+            'h1.HNMDR',
+            'h1.artTitle',
+            'h1[itemprop="headline"]'
+        ],
+        bodySelectors: [
+            'div[data-articlebody="1"]', // Strongest candidate on current article pages
+            'div.vSlIC', // Often the direct container of text within data-articlebody
+            'div._s30J',
+            'div._3g2R-', // Very common wrapper on older article pages
+            'div._3MkB4',
+            'div.Normal' // Sometimes the whole story is one div.Normal
+        ],
+        // ToI often writes the story as bare text with <br>s, in which case the container text is used
+        paragraphSelector: 'p, div.Normal',
+        excludeSelectors: [
+            '.embedpicture',
+            '.img_cptn',
+            '.readmore_span',
+            '.auto_suggestion',
+            '.brief_box',
+            '[data-type="in_view"]',
+            '.ad1',
+            '.ad-wrapper'
+        ]
+    },
+    'thehindu.com': {
+        name: 'The Hindu',
+        titleSelectors: [
+            'h1.title',
+            'h1[itemprop="name"]',
+            'h1[itemprop="headline"]'
+        ],
+        bodySelectors: [
+            'div[itemprop="articleBody"]',
+            'div.articlebodycontent',
+            'div[id^="content-body-"]'
+        ],
+        paragraphSelector: 'p',
+        excludeSelectors: [
+            '.related-stories-inline',
+            '.also-read',
+            '.article-ad',
+            '.comp-embed',
+            '.picture',
+            '.caption',
+            '.ad'
+        ]
+    },
+    'hindustantimes.com': {
+        name: 'Hindustan Times',
+        titleSelectors: [
+            'h1.hdg1',
+            'h1[itemprop="headline"]'
+        ],
+        bodySelectors: [
+            'div.storyDetails',
+            'div.storyDetail',
+            'div.detail'
+        ],
+        paragraphSelector: 'p',
+        excludeSelectors: [
+            '.storyAd',
+            '.adHeight250',
+            '.adMinHeight313',
+            '.relatedStory',
+            '.moreRelated',
+            '.embed_div',
+            '.photoCredit',
+            '.storyExpert'
+        ]
+    },
+    'indianexpress.com': {
+        name: 'Indian Express',
+        titleSelectors: [
+            'h1[itemprop="headline"]',
+            'h1.native_story_title'
+        ],
+        bodySelectors: [
+            'div#pcl-full-content',
+            'div.full-details',
+            'div.story_details',
+            'div[itemprop="articleBody"]'
+        ],
+        paragraphSelector: 'p',
+        excludeSelectors: [
+            '.ie-first-publish',
+            '.ev-meter-content',
+            '.also-read',
+            '.custom-caption',
+            '.wp-caption',
+            '.adsbox',
+            '.appstext'
+        ]
+    }
+};
+
+/**
+ * Looks up the extraction rules for a site.
+ * @param {string} hostname The hostname of the page.
+ * @returns {object} The site's adapter, or GENERIC_SITE_ADAPTER for unknown sites.
+ */
+function getSiteAdapter(hostname) {
+    return SITE_ADAPTERS[getSiteKey(hostname)] || GENERIC_SITE_ADAPTER;
+}
+
+/**
+ * Returns every exclusion selector that applies with the given adapter, as one selector list.
+ * @param {object} adapter The site adapter.
+ * @returns {string}
+ */
+function getExcludeSelector(adapter) {
+    return [...COMMON_EXCLUDE_SELECTORS, ...GENERIC_SITE_ADAPTER.excludeSelectors, ...adapter.excludeSelectors].join(', ');
+}
+
+/**
+ * Tells whether an element is (inside) an ad, caption, "read more" block or similar.
+ * Only blocks inside the given root count, so a site wrapping its whole layout in, say,
+ * an <aside> doesn't exclude everything.
+ * @param {Element} element The element to check.
+ * @param {object} adapter The site adapter.
+ * @param {Element} root The container the element was found in.
+ * @returns {boolean}
+ */
+function isExcludedElement(element, adapter, root) {
+    const excludedAncestor = element.closest(getExcludeSelector(adapter));
+    return excludedAncestor !== null && root.contains(excludedAncestor);
+}
+
+/**
+ * Readability-style fallback for pages none of the selectors match: scores every element by the
+ * amount of paragraph text directly inside it (and, at half weight, inside its children) and
+ * returns the best one.
+ * @param {object} adapter The site adapter, for its exclusions.
+ * @returns {Element|null} The most likely article container, or null if the page has no real paragraphs.
+ */
+function findContainerByTextDensity(adapter) {
+    const scores = new Map();
+    const addScore = (element, score) => {
+        if (element && element !== document.body && element !== document.documentElement) {
+            scores.set(element, (scores.get(element) || 0) + score);
+        }
+    };
+
+    document.querySelectorAll('p').forEach(p => {
+        const text = p.textContent.trim();
+        if (text.length < 25 || isExcludedElement(p, adapter, document.body)) {
+            return;
+        }
+        // One point per paragraph, one per comma, and up to three for its length
+        const commas = text.split(',').length - 1;
+        const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+        addScore(p.parentElement, score);
+        addScore(p.parentElement && p.parentElement.parentElement, score / 2);
+    });
+
+    let bestElement = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+        if (score > bestScore) {
+            bestElement = element;
+            bestScore = score;
+        }
+    });
+    // A handful of short paragraphs (a cookie banner, a footer) isn't an article
+    return bestScore >= 10 ? bestElement : null;
+}
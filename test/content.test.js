@@ -0,0 +1,206 @@
+// content.test.js - Article extraction and replacement (content.js, sites.js) on saved pages of
+// the supported newspapers (see test/fixtures).
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome');
+const { loadContentScript } = require('./helpers/load');
+
+// What each saved page should give: its headline and body elements, the headline text, sentences
+// that must be in the extracted story, and text from ads, captions and the like that must not be
+const NEWSPAPERS = [
+    {
+        name: 'Times of India',
+        fixture: 'timesofindia.html',
+        url: 'https://timesofindia.indiatimes.com/city/mumbai/coastal-road-second-tunnel-opens/articleshow/110000001.cms',
+        titleSelector: 'h1.HNMDR',
+        bodySelector: 'div[data-articlebody="1"]',
+        title: "Mumbai: Coastal road's second tunnel opens to traffic",
+        storyText: [
+            "MUMBAI: The second tunnel of the coastal road, which carries traffic from Marine Drive towards Worli",
+            "Civic officials said around 16,000 vehicles used the tunnel on its first day",
+            "Commuters welcomed the opening, though several complained about the lack of signage"
+        ],
+        excludedText: ["Priyadarshini Park", "Advertisement", "Also read", "Heavy rain lashes Mumbai"]
+    },
+    {
+        name: 'The Hindu',
+        fixture: 'thehindu.html',
+        url: 'https://www.thehindu.com/news/cities/chennai/chennai-metro-phase-two-trial-run/article68000001.ece',
+        titleSelector: 'h1.title',
+        bodySelector: 'div[itemprop="articleBody"]',
+        title: "Chennai Metro phase two trial run begins on Poonamallee stretch",
+        storyText: [
+            "Chennai Metro Rail Limited (CMRL) on Tuesday began the trial run of its first driverless train",
+            "Officials said the train, which has three coaches, would be tested for several weeks",
+            "Passenger services on the stretch are expected to begin by the end of next year"
+        ],
+        excludedText: ["during the trial run near Poonamallee", "Related: CMRL awards contract", "Advertisement", "Published - June 11"]
+    },
+    {
+        name: 'Hindustan Times',
+        fixture: 'hindustantimes.html',
+        url: 'https://www.hindustantimes.com/cities/delhi-news/delhi-hottest-june-night-101718000000001.html',
+        titleSelector: 'h1.hdg1',
+        bodySelector: 'div.storyDetails',
+        title: "Delhi records its hottest June night in 12 years",
+        storyText: [
+            "Delhi recorded its hottest June night in at least twelve years on Tuesday",
+            "Power demand in the capital touched a new peak of 8,647 MW in the afternoon",
+            "The weather office forecast some relief from Thursday"
+        ],
+        excludedText: ["HT Photo", "Advertisement", "Heatwave alert for north India", "IMD issues orange alert"]
+    },
+    {
+        name: 'Indian Express',
+        fixture: 'indianexpress.html',
+        url: 'https://indianexpress.com/article/cities/pune/pmpml-300-electric-buses-9390001/',
+        titleSelector: 'h1[itemprop="headline"]',
+        bodySelector: 'div#pcl-full-content',
+        title: "Pune: PMPML to add 300 electric buses to its fleet by December",
+        storyText: [
+            "The Pune Mahanagar Parivahan Mahamandal Limited (PMPML) will add 300 electric buses to its fleet",
+            "The buses, funded under the central government's PM e-Bus Sewa scheme",
+            "Two new charging depots are being built at Bhosari and Upper Indiranagar"
+        ],
+        excludedText: ["First published on", "Express Photo", "Pune Metro extends its hours", "Advertisement", "Download the Indian Express app"]
+    }
+];
+
+// The transformation the mocked background script answers with
+const TRANSFORMATION = {
+    movieTitle: "Khabar Ka Tamasha",
+    tagline: "Breaking news. Breaking hearts.",
+    song: {
+        title: "Headline Mein Tu",
+        sections: [
+            { type: 'verse', lines: ["Subah ka akhbaar, teri yaad laaya", "Har panne pe bas tera naam aaya"] },
+            { type: 'chorus', lines: ["Khabar, khabar, dil ki khabar"] }
+        ]
+    },
+    cast: [{ actor: "Madhuri Dixit", role: "the editor" }],
+    songLyrics: "(Verse)\nSubah ka akhbaar, teri yaad laaya\nHar panne pe bas tera naam aaya\n\n(Chorus)\nKhabar, khabar, dil ki khabar"
+};
+
+for (const newspaper of NEWSPAPERS) {
+    describe(newspaper.name, () => {
+        let window;
+
+        /**
+         * Opens the newspaper's saved page with the content script injected. Auto-transform is off,
+         * so the page is only transformed when a test asks for it.
+         * @param {function} [onTransform] Answers transformation requests (see createChromeStub).
+         * @returns {object} The chrome stub.
+         */
+        function openPage(onTransform) {
+            const chrome = createChromeStub({ sync: { autoTransform: false }, onTransform });
+            window = loadContentScript(newspaper.fixture, newspaper.url, chrome);
+            return chrome;
+        }
+
+        afterEach(() => window.close());
+
+        it('extracts the headline and the story, without ads or captions', () => {
+            openPage();
+            const { document } = window;
+
+            const found = window.discoverArticles();
+
+            assert.equal(found.length, 1);
+            const [article] = found;
+            assert.equal(article.titleElement, document.querySelector(newspaper.titleSelector));
+            assert.equal(article.bodyElement, document.querySelector(newspaper.bodySelector));
+            assert.equal(article.url, document.querySelector('link[rel="canonical"]').href);
+            assert.equal(window.getArticleTitle(article), newspaper.title);
+
+            const body = window.getArticleBody(article);
+            for (const text of newspaper.storyText) {
+                assert.ok(body.includes(text), `The story should include "${text}"`);
+            }
+            for (const text of newspaper.excludedText) {
+                assert.ok(!body.includes(text), `The story should not include "${text}"`);
+            }
+        });
+
+        it('replaces the headline and the story with the transformation, and restores them', async () => {
+            const chrome = openPage(() => ({ success: true, ...TRANSFORMATION }));
+            const { document } = window;
+            const titleElement = document.querySelector(newspaper.titleSelector);
+            const bodyElement = document.querySelector(newspaper.bodySelector);
+            const originalTitle = titleElement.innerHTML;
+            const originalBody = bodyElement.innerHTML;
+
+            const result = await window.transformCurrentArticle();
+
+            assert.deepEqual({ ...result }, { success: true, cached: false });
+            const [request] = chrome.ports[0].requests;
+            assert.equal(request.articleTitle, newspaper.title);
+            assert.ok(request.articleBody.includes(newspaper.storyText[0]));
+            assert.equal(request.articleUrl, document.querySelector('link[rel="canonical"]').href);
+
+            assert.equal(titleElement.textContent, `🎬 ${TRANSFORMATION.movieTitle} 🎶`);
+            assert.equal(bodyElement.children.length, 1);
+            const lyricsHost = bodyElement.firstElementChild;
+            assert.equal(lyricsHost.className, 'bollywood-lyrics-container');
+            const card = lyricsHost.shadowRoot.querySelector('.card.lyrics');
+            assert.deepEqual(
+                [...card.querySelectorAll('.line')].map(line => line.textContent),
+                TRANSFORMATION.song.sections.flatMap(section => section.lines)
+            );
+            assert.equal(card.querySelector('.tagline').textContent, `“${TRANSFORMATION.tagline}”`);
+            assert.ok(!bodyElement.textContent.includes(newspaper.storyText[0]));
+
+            assert.equal(window.toggleArticleView('original'), 'original');
+            assert.equal(titleElement.innerHTML, originalTitle);
+            assert.equal(titleElement.getAttribute('style'), null);
+            assert.equal(bodyElement.innerHTML, originalBody);
+
+            assert.equal(window.toggleArticleView('transformed'), 'transformed');
+            assert.equal(titleElement.textContent, `🎬 ${TRANSFORMATION.movieTitle} 🎶`);
+            assert.equal(bodyElement.firstElementChild, lyricsHost);
+        });
+    });
+}
+
+describe('A page whose article has no headline element', () => {
+    let window;
+
+    afterEach(() => window.close());
+
+    /**
+     * Waits for the given time, e.g. for the content script to scan the settled page.
+     * @param {number} ms The delay in milliseconds.
+     * @returns {Promise<void>}
+     */
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('keeps watching the page for new articles once the article is found', async () => {
+        const [newspaper] = NEWSPAPERS.filter(paper => paper.name === 'The Hindu');
+        window = loadContentScript(newspaper.fixture, newspaper.url, createChromeStub({ sync: { autoTransform: false } }));
+        const { document } = window;
+        const errors = [];
+        window.addEventListener('error', event => errors.push(event.error));
+        // Before the page settles and the content script first scans it
+        document.querySelector(newspaper.titleSelector).remove();
+
+        await wait(1000);
+        const article = window.getCurrentArticle();
+        assert.ok(article, "The first scan should have found the article");
+        assert.equal(article.titleElement, null);
+
+        let scans = 0;
+        const discoverArticles = window.discoverArticles;
+        window.discoverArticles = () => {
+            scans++;
+            return discoverArticles();
+        };
+        document.querySelector(newspaper.bodySelector).appendChild(document.createElement('p'));
+        document.querySelector('main').appendChild(document.createElement('section'));
+        await wait(1000);
+
+        assert.deepEqual(errors, []);
+        assert.ok(scans > 0, "The page should have been scanned again after it changed");
+    });
+});
@@ -0,0 +1,279 @@
+// gemini.test.js - transformArticleWithGemini (background.js) against a local mock of the Gemini API.
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome');
+const { loadBackground } = require('./helpers/load');
+const { geminiText, startMockGemini } = require('./helpers/mock-gemini');
+
+const ARTICLE_TITLE = "City council approves new flyover over the railway crossing";
+const ARTICLE_BODY = "The city council on Monday approved the construction of a flyover over the busy railway " +
+    "crossing near the old market, ending a decade-long wait for commuters.";
+
+const STRUCTURED_TRANSFORMATION = {
+    movieTitle: "Flyover Ka Pyaar",
+    tagline: "Ten years of waiting. One bridge of destiny.",
+    song: {
+        title: "Phatak Khul Ja",
+        sections: [
+            { type: 'verse', lines: ["Signal laal, dil bekaraar", "Train ke peeche mera pyaar"] },
+            { type: 'chorus', lines: ["Flyover, flyover, le chal us paar"] }
+        ]
+    },
+    cast: [{ actor: "Shah Rukh Khan", role: "the commuter" }]
+};
+
+describe('transformArticleWithGemini', () => {
+    let gemini;
+
+    before(async () => {
+        gemini = await startMockGemini();
+    });
+
+    after(() => gemini.close());
+
+    beforeEach(() => {
+        gemini.requests.length = 0;
+    });
+
+    /**
+     * Loads the background script with settings pointing at the mock server, and transforms the article.
+     * @param {object} [settings] Settings to change from the defaults. Retries are off unless set here.
+     * @param {string} [apiKey] The stored API key.
+     * @param {object} [progress] Progress reporting, as the port passes it (see transformArticleWithGemini).
+     * @returns {Promise<object>} The response, copied out of the script's context so it compares
+     * with plain objects.
+     */
+    async function transform(settings = {}, apiKey = 'test-key', progress = {}) {
+        const chrome = createChromeStub({
+            sync: { apiBaseUrl: gemini.baseUrl, maxRetries: 0, ...settings },
+            local: { apiKey }
+        });
+        const background = loadBackground(chrome);
+        return JSON.parse(JSON.stringify(await background.transformArticleWithGemini(ARTICLE_TITLE, ARTICLE_BODY, progress)));
+    }
+
+    /**
+     * Builds a streamGenerateContent answer: server-sent events that each carry a few characters of the text.
+     * @param {string} text The generated text.
+     * @param {number} chunkLength How many characters each event carries.
+     * @returns {object} The reply, for gemini.reply().
+     */
+    function geminiStream(text, chunkLength) {
+        let body = '';
+        for (let i = 0; i < text.length; i += chunkLength) {
+            body += `data: ${JSON.stringify(geminiText(text.slice(i, i + chunkLength)))}\r\n\r\n`;
+        }
+        return { headers: { 'Content-Type': 'text/event-stream' }, body };
+    }
+
+    it('returns the structured transformation from a single request', async () => {
+        gemini.reply({ body: geminiText(JSON.stringify(STRUCTURED_TRANSFORMATION)) });
+
+        const response = await transform();
+
+        assert.equal(response.success, true);
+        assert.equal(response.movieTitle, STRUCTURED_TRANSFORMATION.movieTitle);
+        assert.equal(response.tagline, STRUCTURED_TRANSFORMATION.tagline);
+        assert.deepEqual(response.song, STRUCTURED_TRANSFORMATION.song);
+        assert.deepEqual(response.cast, STRUCTURED_TRANSFORMATION.cast);
+        assert.equal(response.songLyrics,
+            "(Verse)\nSignal laal, dil bekaraar\nTrain ke peeche mera pyaar\n\n(Chorus)\nFlyover, flyover, le chal us paar");
+
+        assert.equal(gemini.requests.length, 1);
+        const [request] = gemini.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.path, '/v1beta/models/gemini-2.0-flash:generateContent');
+        assert.equal(request.query.key, 'test-key');
+        assert.equal(request.body.generationConfig.responseMimeType, 'application/json');
+        assert.match(request.body.contents[0].parts[0].text, /City council approves new flyover/);
+    });
+
+    it('streams the structured transformation with the default settings, as the page asks for it', async () => {
+        gemini.reply(geminiStream(JSON.stringify(STRUCTURED_TRANSFORMATION, null, 2), 17));
+        const updates = [];
+
+        const response = await transform({}, 'test-key', { onUpdate: update => updates.push(JSON.parse(JSON.stringify(update))) });
+
+        assert.equal(response.success, true);
+        assert.equal(response.tagline, STRUCTURED_TRANSFORMATION.tagline);
+        assert.deepEqual(response.song, STRUCTURED_TRANSFORMATION.song);
+        assert.deepEqual(response.cast, STRUCTURED_TRANSFORMATION.cast);
+
+        assert.equal(gemini.requests.length, 1);
+        assert.equal(gemini.requests[0].path, '/v1beta/models/gemini-2.0-flash:streamGenerateContent');
+        assert.equal(gemini.requests[0].query.alt, 'sse');
+        assert.equal(gemini.requests[0].body.generationConfig.responseMimeType, 'application/json');
+
+        assert.deepEqual(updates.filter(update => update.type === 'title'), [{ type: 'title', movieTitle: STRUCTURED_TRANSFORMATION.movieTitle }]);
+        const lyricsUpdates = updates.filter(update => update.type === 'lyrics');
+        assert.ok(lyricsUpdates.length > 1, "The lyrics should arrive in several updates");
+        assert.equal(lyricsUpdates.map(update => update.text).join(''), `${response.songLyrics}\n`);
+        assert.ok(updates.findIndex(update => update.type === 'title') < updates.findIndex(update => update.type === 'lyrics'));
+    });
+
+    it('asks for the movie title and the song lyrics separately without structured output', async () => {
+        gemini.reply(
+            { body: geminiText("  Flyover Ka Pyaar\n") },
+            { body: geminiText("Signal laal, dil bekaraar\nFlyover, flyover, le chal us paar\n") }
+        );
+
+        const response = await transform({ structuredOutput: false });
+
+        assert.deepEqual(response, {
+            success: true,
+            movieTitle: "Flyover Ka Pyaar",
+            songLyrics: "Signal laal, dil bekaraar\nFlyover, flyover, le chal us paar"
+        });
+        assert.equal(gemini.requests.length, 2);
+        assert.equal(gemini.requests[0].body.generationConfig.responseMimeType, undefined);
+    });
+
+    it('reports the error object of an HTTP error', async () => {
+        gemini.reply({
+            status: 403,
+            body: { error: { code: 403, message: "Method doesn't allow unregistered callers.", status: 'PERMISSION_DENIED' } }
+        });
+
+        const response = await transform();
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'forbidden');
+        assert.equal(response.status, 403);
+        assert.equal(response.retryable, false);
+        assert.match(response.error, /not allowed to use this model/);
+        assert.match(response.error, /Method doesn't allow unregistered callers\./);
+        assert.equal(gemini.requests.length, 1);
+    });
+
+    it('reports an invalid API key without falling back to separate requests', async () => {
+        gemini.reply({
+            status: 400,
+            body: { error: { code: 400, message: "API key not valid. Please pass a valid API key.", status: 'INVALID_ARGUMENT' } }
+        });
+
+        const response = await transform();
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'badRequest');
+        assert.match(response.error, /API key not valid/);
+        assert.equal(gemini.requests.length, 1);
+    });
+
+    it('falls back to separate requests when the server rejects the response schema', async () => {
+        gemini.reply(
+            { status: 400, body: { error: { code: 400, message: "Invalid JSON payload received. Unknown name \"responseSchema\" at 'generation_config'.", status: 'INVALID_ARGUMENT' } } },
+            { body: geminiText("Flyover Ka Pyaar") },
+            { body: geminiText("Signal laal, dil bekaraar") }
+        );
+
+        const response = await transform();
+
+        assert.equal(response.success, true);
+        assert.equal(response.movieTitle, "Flyover Ka Pyaar");
+        assert.equal(gemini.requests.length, 3);
+        assert.equal(gemini.requests[1].body.generationConfig.responseMimeType, undefined);
+    });
+
+    it('reports an error object sent with a 200 status by its own code', async () => {
+        gemini.reply({ body: { error: { code: 400, message: "Invalid JSON payload received.", status: 'INVALID_ARGUMENT' } } });
+
+        const response = await transform({ structuredOutput: false });
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'badRequest');
+        assert.equal(response.status, 400);
+        assert.match(response.error, /Invalid JSON payload received\./);
+    });
+
+    it('reports an empty candidate without retrying', async () => {
+        gemini.reply({ body: { candidates: [{ content: { role: 'model', parts: [] }, finishReason: 'STOP' }] } });
+
+        const response = await transform({ structuredOutput: false, maxRetries: 3 });
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'emptyResponse');
+        assert.equal(response.retryable, false);
+        assert.equal(gemini.requests.length, 1);
+    });
+
+    it('reports a response without candidates as empty', async () => {
+        gemini.reply({ body: { candidates: [] } });
+
+        const response = await transform({ structuredOutput: false });
+
+        assert.equal(response.code, 'emptyResponse');
+    });
+
+    it('reports a 429 as a retryable rate limit once the retries are used up', async () => {
+        gemini.reply({
+            status: 429,
+            body: { error: { code: 429, message: "Resource has been exhausted (e.g. check quota).", status: 'RESOURCE_EXHAUSTED' } }
+        });
+
+        const response = await transform();
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'rateLimited');
+        assert.equal(response.status, 429);
+        assert.equal(response.retryable, true);
+        assert.match(response.error, /Resource has been exhausted/);
+        assert.equal(gemini.requests.length, 1);
+    });
+
+    it('retries a 429 after the delay the API asks for', async () => {
+        gemini.reply(
+            { status: 429, headers: { 'Retry-After': '0' }, body: { error: { code: 429, message: "Quota exceeded.", status: 'RESOURCE_EXHAUSTED' } } },
+            { body: geminiText(JSON.stringify(STRUCTURED_TRANSFORMATION)) }
+        );
+
+        const response = await transform({ maxRetries: 1 });
+
+        assert.equal(response.success, true);
+        assert.equal(response.movieTitle, STRUCTURED_TRANSFORMATION.movieTitle);
+        assert.equal(gemini.requests.length, 2);
+    });
+
+    it('stops waiting to retry as soon as the transformation is cancelled', async () => {
+        gemini.reply({ status: 429, headers: { 'Retry-After': '15' }, body: { error: { code: 429, message: "Quota exceeded.", status: 'RESOURCE_EXHAUSTED' } } });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        const startedAt = Date.now();
+
+        const response = await transform({ maxRetries: 1 }, 'test-key', { signal: controller.signal });
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'cancelled');
+        assert.ok(Date.now() - startedAt < 5000, "The retry delay should have been cut short");
+        assert.equal(gemini.requests.length, 1);
+    });
+
+    it('reports a dropped connection as a retryable network error', async () => {
+        gemini.reply({ dropConnection: true });
+
+        const response = await transform();
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'network');
+        assert.equal(response.retryable, true);
+        assert.match(response.error, /Could not reach the model provider/);
+    });
+
+    it('reports an unreachable endpoint as a network error', async () => {
+        // Nothing listens on port 9 (discard) here, so the connection is refused
+        const response = await transform({ apiBaseUrl: 'http://127.0.0.1:9/v1beta' });
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'network');
+    });
+
+    it('asks for an API key before calling the API', async () => {
+        const response = await transform({}, '');
+
+        assert.equal(response.success, false);
+        assert.equal(response.code, 'missingApiKey');
+        assert.equal(gemini.requests.length, 0);
+    });
+});
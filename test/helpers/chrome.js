@@ -0,0 +1,153 @@
+// chrome.js - A stand-in for the chrome.* extension APIs, so the extension's scripts run offline
+// in Node and jsdom. Storage is kept in memory, events only collect their listeners, and the
+// content script's "transformArticle" port is answered by the test (see createChromeStub).
+
+'use strict';
+
+/**
+ * Creates an event like chrome.runtime.onMessage: listeners are kept, so a test can fire it.
+ * @returns {object} { listeners, addListener, removeListener, hasListener, dispatch }
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        hasListener: listener => listeners.includes(listener),
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+/**
+ * Creates a chrome.storage area kept in memory.
+ * @param {object} [initial] The stored items to start with.
+ * @returns {object} The area, with its items exposed as `items` for assertions.
+ */
+function createStorageArea(initial = {}) {
+    const items = structuredClone(initial);
+    return {
+        items,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return structuredClone(items);
+            }
+            if (typeof keys === 'string' || Array.isArray(keys)) {
+                const found = [].concat(keys).filter(key => key in items);
+                return structuredClone(Object.fromEntries(found.map(key => [key, items[key]])));
+            }
+            // An object of defaults, as getSettings() passes DEFAULT_SETTINGS
+            return structuredClone(Object.fromEntries(Object.entries(keys).map(([key, defaultValue]) =>
+                [key, key in items ? items[key] : defaultValue]
+            )));
+        },
+        async set(changes) {
+            Object.assign(items, structuredClone(changes));
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(key => delete items[key]);
+        },
+        async getBytesInUse() {
+            return new TextEncoder().encode(JSON.stringify(items)).length;
+        }
+    };
+}
+
+/**
+ * Creates the content script's end of a port to the background script.
+ * @param {string} name The port's name.
+ * @param {function(object, function(object): void): (object|Promise<object>)} [onRequest] Answers
+ * a request posted to the port: called with the request and a function posting progress updates,
+ * it returns the final response, which is posted as { type: 'result', response }.
+ * @returns {object} The port, with the posted requests as `requests`.
+ */
+function createPort(name, onRequest) {
+    const onMessage = createEvent();
+    const port = {
+        name,
+        requests: [],
+        disconnected: false,
+        onMessage,
+        onDisconnect: createEvent(),
+        postMessage(request) {
+            port.requests.push(request);
+            if (!onRequest) {
+                return;
+            }
+            const post = message => {
+                if (!port.disconnected) {
+                    onMessage.dispatch(message);
+                }
+            };
+            Promise.resolve(onRequest(request, post)).then(response => post({ type: 'result', response }));
+        },
+        disconnect() {
+            port.disconnected = true;
+        }
+    };
+    return port;
+}
+
+/**
+ * Creates the chrome object the extension's scripts expect.
+ * @param {object} [options]
+ * @param {object} [options.sync] The settings in chrome.storage.sync (see DEFAULT_SETTINGS).
+ * @param {object} [options.local] The items in chrome.storage.local, e.g. the API key.
+ * @param {function} [options.onTransform] Answers the content script's transformation requests
+ * (see createPort).
+ * @returns {object} The chrome stub, with the ports opened so far as `ports`.
+ */
+function createChromeStub({ sync = {}, local = {}, onTransform } = {}) {
+    const ports = [];
+    return {
+        ports,
+        storage: {
+            sync: createStorageArea(sync),
+            local: createStorageArea(local),
+            onChanged: createEvent()
+        },
+        runtime: {
+            onMessage: createEvent(),
+            onConnect: createEvent(),
+            onInstalled: createEvent(),
+            sendMessage: async () => undefined,
+            openOptionsPage: async () => undefined,
+            connect({ name } = {}) {
+                const port = createPort(name, onTransform);
+                ports.push(port);
+                return port;
+            }
+        },
+        tabs: {
+            sendMessage: async () => undefined,
+            create: async () => ({})
+        },
+        scripting: {
+            executeScript: async () => [],
+            getRegisteredContentScripts: async () => [],
+            registerContentScripts: async () => undefined,
+            updateContentScripts: async () => undefined,
+            unregisterContentScripts: async () => undefined
+        },
+        contextMenus: {
+            create: () => undefined,
+            onClicked: createEvent()
+        },
+        commands: {
+            onCommand: createEvent()
+        },
+        permissions: {
+            contains: async () => true,
+            request: async () => true,
+            remove: async () => true,
+            onRemoved: createEvent()
+        }
+    };
+}
+
+module.exports = { createChromeStub };
@@ -0,0 +1,85 @@
+// load.js - Loads the extension's scripts for tests: the background service worker into a Node
+// vm context, and the content script into a jsdom page, each with a chrome stub (see chrome.js).
+// The scripts aren't modules, so they're run as the browser runs them, as classic scripts sharing
+// one global scope.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// The scripts log every step; set DEBUG=1 to see them
+const scriptConsole = process.env.DEBUG ? console : { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Reads one of the extension's scripts.
+ * @param {string} file The file name, relative to the extension's root.
+ * @returns {string}
+ */
+function readScript(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Loads background.js, and the scripts it imports, into a fresh context, as the service worker would.
+ * @param {object} chrome The chrome stub (see createChromeStub).
+ * @returns {object} The context: the scripts' functions are its properties, and their constants
+ * can be read with evaluate().
+ */
+function loadBackground(chrome) {
+    const context = vm.createContext({
+        chrome,
+        console: scriptConsole,
+        fetch,
+        Headers,
+        Request,
+        Response,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        TextDecoderStream,
+        URL,
+        crypto,
+        structuredClone,
+        setTimeout,
+        clearTimeout
+    });
+    const runScript = file => vm.runInContext(readScript(file), context, { filename: file });
+    context.self = context;
+    context.importScripts = (...files) => files.forEach(runScript);
+    context.evaluate = code => vm.runInContext(code, context);
+    runScript('background.js');
+    return context;
+}
+
+/**
+ * Opens a saved page in jsdom and injects the content script into it, in the manifest's order.
+ * The page's own scripts, if any were saved, don't run.
+ * @param {string} fixture The page's file name in test/fixtures.
+ * @param {string} url The URL the page was saved from, which picks the site adapter (see sites.js).
+ * @param {object} chrome The chrome stub (see createChromeStub).
+ * @returns {Window} The page's window. Close it once done, which stops its timers.
+ */
+function loadContentScript(fixture, url, chrome) {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8');
+    const virtualConsole = new VirtualConsole();
+    if (process.env.DEBUG) {
+        virtualConsole.sendTo(console);
+    }
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    window.chrome = chrome;
+
+    const manifest = JSON.parse(readScript('manifest.json'));
+    for (const file of manifest.content_scripts[0].js) {
+        new vm.Script(readScript(file), { filename: file }).runInContext(dom.getInternalVMContext());
+    }
+    return window;
+}
+
+module.exports = { loadBackground, loadContentScript };
@@ -0,0 +1,73 @@
+// mock-gemini.js - A local stand-in for the Gemini generateContent API, so provider calls are
+// tested offline. Each request gets the next queued reply, and is recorded for assertions.
+
+'use strict';
+
+const http = require('node:http');
+
+/**
+ * Builds a successful generateContent response carrying the given text.
+ * @param {string} text The generated text.
+ * @returns {object}
+ */
+function geminiText(text) {
+    return {
+        candidates: [{
+            content: { role: 'model', parts: [{ text }] },
+            finishReason: 'STOP'
+        }]
+    };
+}
+
+/**
+ * Starts the mock server on a free local port.
+ * @returns {Promise<object>} The server:
+ * - baseUrl: the endpoint base URL, to use as the apiBaseUrl setting;
+ * - requests: the requests received, as { method, path, query, body };
+ * - reply(...replies): queues replies, each { status, headers, body } (an object is sent as JSON)
+ *   or { dropConnection: true } to close the connection without answering;
+ * - close(): stops the server.
+ * A request with no reply queued gets a 500 error.
+ */
+async function startMockGemini() {
+    const requests = [];
+    const replies = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            const url = new URL(request.url, 'http://localhost');
+            requests.push({
+                method: request.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                body: body ? JSON.parse(body) : null
+            });
+
+            const reply = replies.shift() || { status: 500, body: { error: { code: 500, message: "No reply queued.", status: 'INTERNAL' } } };
+            if (reply.dropConnection) {
+                request.socket.destroy();
+                return;
+            }
+            const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+            response.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+            response.end(payload);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1beta`,
+        requests,
+        reply: (...newReplies) => replies.push(...newReplies),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { geminiText, startMockGemini };
@@ -0,0 +1,214 @@
+// transformation.js - The structured transformation format, loaded by the background script.
+//
+// A single request (see buildStructuredPrompt in prompts.js) asks the model for the whole transformation
+// as JSON matching TRANSFORMATION_SCHEMA.
+// The schema is written once as plain JSON Schema; each provider adapts it to its own wire format
+// (see providers.js). parseTransformation() validates whatever comes back, since not every model
+// follows the schema faithfully.
+
+// The kinds of song sections the lyrics card knows how to render
+const SONG_SECTION_TYPES = ['intro', 'verse', 'chorus', 'bridge', 'outro'];
+
+const TRANSFORMATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        movieTitle: { type: 'string', description: "Catchy, dramatic Bollywood movie title" },
+        tagline: { type: 'string', description: "One-line poster tagline" },
+        song: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                sections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: SONG_SECTION_TYPES },
+                            lines: { type: 'array', items: { type: 'string' } }
+                        },
+                        required: ['type', 'lines'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['title', 'sections'],
+            additionalProperties: false
+        },
+        cast: {
+            type: 'array',
+            description: "Bollywood stars cast as the people in the story",
+            items: {
+                type: 'object',
+                properties: {
+                    actor: { type: 'string' },
+                    role: { type: 'string' }
+                },
+                required: ['actor', 'role'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['movieTitle', 'tagline', 'song', 'cast'],
+    additionalProperties: false
+};
+
+/**
+ * Tells whether a value is a string with some non-whitespace content.
+ * @param {*} value The value to check.
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Parses and validates the JSON the model returned for the structured request.
+ * Lenient where it costs nothing (surrounding code fences, unknown section types, empty lines),
+ * strict about what the page needs to render.
+ * @param {string} text The generated text.
+ * @returns {object} The transformation: { movieTitle, tagline, song: { title, sections }, cast, songLyrics }.
+ * @throws {Error} If the text isn't JSON or lacks a required field.
+ */
+function parseTransformation(text) {
+    // Some models wrap JSON in a ```json fence even when asked not to
+    const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const data = JSON.parse(json);
+
+    if (!data || typeof data !== 'object') {
+        throw new Error("The structured response is not an object.");
+    }
+    if (!isNonEmptyString(data.movieTitle)) {
+        throw new Error("The structured response has no movie title.");
+    }
+    if (!data.song || !Array.isArray(data.song.sections)) {
+        throw new Error("The structured response has no song sections.");
+    }
+
+    const sections = data.song.sections
+        .filter(section => section && Array.isArray(section.lines))
+        .map(section => ({
+            type: SONG_SECTION_TYPES.includes(section.type) ? section.type : 'verse',
+            lines: section.lines.filter(isNonEmptyString).map(line => line.trim())
+        }))
+        .filter(section => section.lines.length > 0);
+    if (sections.length === 0) {
+        throw new Error("The structured response has an empty song.");
+    }
+
+    const song = {
+        title: isNonEmptyString(data.song.title) ? data.song.title.trim() : '',
+        sections
+    };
+    const cast = Array.isArray(data.cast) ?
+        data.cast
+            .filter(member => member && isNonEmptyString(member.actor) && isNonEmptyString(member.role))
+            .map(member => ({ actor: member.actor.trim(), role: member.role.trim() })) :
+        [];
+
+    return {
+        movieTitle: data.movieTitle.trim(),
+        tagline: isNonEmptyString(data.tagline) ? data.tagline.trim() : '',
+        song,
+        cast,
+        songLyrics: songToText(song)
+    };
+}
+
+/**
+ * Flattens structured song sections into plain lyrics, e.g. for the page's fallback section.
+ * @param {object} song The song, as { title, sections }.
+ * @returns {string}
+ */
+function songToText(song) {
+    return song.sections
+        .map(section => `(${section.type.charAt(0).toUpperCase()}${section.type.slice(1)})\n${section.lines.join('\n')}`)
+        .join('\n\n');
+}
+
+/**
+ * Reads what can already be read from the start of a structured response that is still streaming
+ * in: the movie title once its string is complete, and the song sections with the lines completed
+ * so far. Strings cut off at the end of the text are left out until the rest arrives.
+ * @param {string} text The JSON received so far.
+ * @returns {object} { movieTitle, sections }: the title (null until complete), and the sections
+ * as { type, lines }, with a null type until it has arrived.
+ */
+function readPartialTransformation(text) {
+    const partial = { movieTitle: null, sections: [] };
+    // The objects and arrays the text is in at this point, each as { isArray, key, index, expectingKey }
+    const stack = [];
+
+    const onValue = value => {
+        const path = stack.map(frame => (frame.isArray ? '[]' : frame.key)).join('.');
+        if (path === 'movieTitle') {
+            partial.movieTitle = value;
+        } else if (path === 'song.sections.[].type' || path === 'song.sections.[].lines.[]') {
+            const index = stack[2].index;
+            const section = partial.sections[index] || (partial.sections[index] = { type: null, lines: [] });
+            if (path.endsWith('.type')) {
+                section.type = SONG_SECTION_TYPES.includes(value) ? value : 'verse';
+            } else if (isNonEmptyString(value)) {
+                section.lines.push(value.trim());
+            }
+        }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const frame = stack[stack.length - 1];
+        if (char === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            if (end >= text.length) {
+                break; // The string isn't complete yet
+            }
+            let value;
+            try {
+                value = JSON.parse(text.slice(i, end + 1));
+            } catch (error) {
+                break; // Not valid JSON; parseTransformation() reports it once the response is complete
+            }
+            i = end;
+            if (frame && !frame.isArray && frame.expectingKey) {
+                frame.key = value;
+                frame.expectingKey = false;
+            } else if (frame) {
+                onValue(value);
+            }
+        } else if (char === '{' || char === '[') {
+            stack.push({ isArray: char === '[', key: null, index: 0, expectingKey: char === '{' });
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',' && frame) {
+            if (frame.isArray) {
+                frame.index++;
+            } else {
+                frame.expectingKey = true;
+            }
+        }
+    }
+    partial.sections = partial.sections.filter(Boolean);
+    return partial;
+}
+
+/**
+ * Flattens the song sections read so far from a streaming response (see readPartialTransformation)
+ * into plain lyrics, in the format of songToText(). The text only ever grows as more lines arrive,
+ * so it can be streamed to the page; it stops before the first section whose type hasn't arrived.
+ * @param {Array<object>} sections The sections, as { type, lines }.
+ * @returns {string}
+ */
+function partialSongToText(sections) {
+    const complete = [];
+    for (const section of sections) {
+        if (!section.type) {
+            break;
+        }
+        complete.push(section);
+    }
+    return complete
+        .map(section => `(${section.type.charAt(0).toUpperCase()}${section.type.slice(1)})\n${section.lines.map(line => `${line}\n`).join('')}`)
+        .join('\n');
+}